@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Generate a Knex migration from the models in a directory:
+ *
+ *     ormur-migrate <models directory> [--diff [--drop]] [--directory <migrations>] [--name <name>]
+ *
+ * By default the migration creates the tables of all models; with `--diff`
+ * it alters the tables in the database to match the schemas instead. Columns
+ * not in the schemas are only dropped with `--drop`.
+ */
+
+const fs = require('fs');
+const _ = require('lodash');
+
+const migrations = require('../lib/migrations');
+
+
+const args = process.argv.slice(2);
+const options = { diff: false, drop: false, directory: 'migrations' };
+const positional = [];
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--diff' || args[i] === '--drop') {
+    options[args[i].slice(2)] = true;
+  } else if (args[i] === '--directory' || args[i] === '--name') {
+    options[args[i].slice(2)] = args[++i];
+  } else {
+    positional.push(args[i]);
+  }
+}
+
+if (positional.length !== 1) {
+  console.error('Usage: ormur-migrate <models directory> [--diff [--drop]] ' +
+                '[--directory <migrations>] [--name <name>]');
+  process.exit(1);
+}
+
+const models = migrations.loadModels(positional[0]);
+if (_.isEmpty(models)) {
+  console.error(`No models found in ${positional[0]}.`);
+  process.exit(1);
+}
+
+const source = options.diff ?
+  migrations.diffMigration(models, null, { drop: options.drop }) :
+  Promise.resolve(migrations.createMigration(models));
+
+source.then(migration => {
+  if (!migration) {
+    console.log('The database matches the schemas; no migration needed.');
+    return null;
+  }
+  if (!fs.existsSync(options.directory)) {
+    fs.mkdirSync(options.directory);
+  }
+  const name = options.name || (options.diff ? 'alter_tables' : 'create_tables');
+  return migrations.writeMigration(options.directory, name, migration).then(file => {
+    console.log(`Created migration ${file}.`);
+  });
+}).then(() => {
+  // The models keep their database connections open.
+  process.exit();
+}, (err) => {
+  console.error(err.stack);
+  process.exit(1);
+});
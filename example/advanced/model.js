@@ -21,6 +21,11 @@ class Model extends Ormur {
     this.knex = knexConnection;
   }
 
+  // Set `createdAt` on insert and `updatedAt` on every update.
+  get timestamps () {
+    return true;
+  }
+
   // This schema will be used by all models subclassing this base model.
   // In order to define their own schema, subclasses can redefine the `schema`
   // getter or create a `childSchema` getter.
@@ -31,12 +36,10 @@ class Model extends Ormur {
         primaryKey: true
       },
       createdAt: {
-        type: 'date',
-        defaultValue: () => new Date()
+        type: 'timestamp'
       },
       updatedAt: {
-        type: 'date',
-        defaultValue: () => new Date()
+        type: 'timestamp'
       }
     }, this.childSchema);
   }
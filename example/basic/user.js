@@ -10,6 +10,10 @@ const Model = require('./model');
  * A simple user model.
  */
 class User extends Model {
+  get timestamps () {
+    return true;
+  }
+
   get schema () {
     return {
       id: {
@@ -34,12 +38,10 @@ class User extends Model {
         notNull: true
       },
       createdAt: {
-        type: 'date',
-        defaultValue: () => new Date()
+        type: 'timestamp'
       },
       updatedAt: {
-        type: 'date',
-        defaultValue: () => new Date()
+        type: 'timestamp'
       }
     };
   }
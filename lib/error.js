@@ -6,10 +6,11 @@
 
 
 class ValidationError extends Error {
-  constructor (message) {
+  constructor (message, errors) {
     super();
     this.name = this.constructor.name;
     this.message = message;
+    this.errors = errors || {};
   }
 }
 
@@ -21,6 +22,24 @@ class ConfigurationError extends Error {
   }
 }
 
+class NotFoundError extends Error {
+  constructor (message) {
+    super();
+    this.name = this.constructor.name;
+    this.message = message;
+  }
+}
+
+class StaleObjectError extends Error {
+  constructor (message) {
+    super();
+    this.name = this.constructor.name;
+    this.message = message;
+  }
+}
+
 
 exports.ValidationError = ValidationError;
 exports.ConfigurationError = ConfigurationError;
+exports.NotFoundError = NotFoundError;
+exports.StaleObjectError = StaleObjectError;
@@ -6,13 +6,28 @@ const inflection = require('inflection');
 
 const util = require('./util');
 const error = require('./error');
+const Query = require('./query');
+const migrations = require('./migrations');
+const relations = require('./relations');
+const types = require('./types');
+const validators = require('./validators');
+
+
+const HOOKS = [
+  'beforeValidate', 'afterValidate',
+  'beforeCreate', 'afterCreate',
+  'beforeUpdate', 'afterUpdate',
+  'beforeDestroy', 'afterDestroy',
+  'afterFetch'
+];
 
 
 class Ormur {
 
   constructor (attributes) {
-    this._tableName = inflection.tableize(this.constructor.name);
+    this._tableName = this.tableName || inflection.tableize(this.constructor.name);
     this._applySchema(attributes || {});
+    this._applyRelations(attributes || {});
 
     // Defer execution until the next tick in the event loop.
     // This allows us to modify `this` in a child constructor
@@ -24,11 +39,16 @@ class Ormur {
    * Read the provided attributes and configure the model instance.
    */
   _applySchema (attributes) {
-    _.each(this.schema, (rules, column) => {
-      if (rules.primaryKey) {
-        this._primaryKey = column;
-      }
+    // The primary key columns; more than one for a composite primary key.
+    this._primaryKey = _(this.schema).pickBy('primaryKey').keys().value();
+
+    // The database column name of each column, set by `columnName` in the
+    // schema or translated by the naming strategy of the model.
+    this._naming = util.namingStrategy(this.constructor.getNamingStrategy());
+    this._columnNames = _.mapValues(this.schema, (rules, column) => {
+      return rules.columnName || this._naming.column(column);
     });
+    this._propertyNames = _.invert(this._columnNames);
 
     // The class is being instantiated only to get a context for
     // static methods; do nothing.
@@ -36,14 +56,20 @@ class Ormur {
       return;
     }
 
-    // Read into properties from the provided attributes.
-    this._properties = _.merge(_.reduce(this.schema, (memo, _rules, column) => {
+    // The values as stored in the database, for dirty tracking. This is null
+    // until the instance is known to be persisted.
+    this._original = null;
+
+    // Read into properties from the provided attributes, converting values
+    // from their database representation where needed.
+    const getType = (name) => this.constructor.getType(name);
+    this._properties = _.merge(_.reduce(this._storedSchema(), (memo, rules, column) => {
       const attributeValue = attributes[column];
-      const snakeCasedAttributeValue = attributes[_.snakeCase(column)];
+      const databaseValue = attributes[this._columnName(column)];
       if (!_.isUndefined(attributeValue)) {
-        memo[column] = attributeValue;
-      } else if (!_.isUndefined(snakeCasedAttributeValue)) {
-        memo[column] = snakeCasedAttributeValue;
+        memo[column] = types.deserialize(attributeValue, rules, getType);
+      } else if (!_.isUndefined(databaseValue)) {
+        memo[column] = types.deserialize(databaseValue, rules, getType);
       }
 
       // Create a getter and setter for this column.
@@ -54,6 +80,117 @@ class Ormur {
 
       return memo;
     }, {}), this._properties);
+
+    // Virtual columns are computed by their getters instead, and may write
+    // to other columns through their setters.
+    _.each(_.pickBy(this.schema, 'virtual'), (rules, column) => {
+      Object.defineProperty(this, column, {
+        get: () => rules.get.call(this, this),
+        set: rules.set && ((value) => rules.set.call(this, value, this))
+      });
+      if (rules.set && !_.isUndefined(attributes[column])) {
+        this[column] = attributes[column];
+      }
+    });
+  }
+
+  /**
+   * Get the schema without virtual columns, i.e. the columns stored in the
+   * database.
+   *
+   * @returns {Object} The rules by column.
+   */
+  _storedSchema () {
+    return _.omitBy(this.schema, 'virtual');
+  }
+
+  /**
+   * Translate a column name, as used in the schema, to its database column
+   * name. Columns not in the schema are translated by the naming strategy.
+   *
+   * @param {String} column The column name.
+   * @returns {String} The database column name.
+   */
+  _columnName (column) {
+    if (_.has(this._columnNames, column)) {
+      return this._columnNames[column];
+    }
+    return this._naming.column(column);
+  }
+
+  /**
+   * Translate a database column name back to the column name used in the
+   * schema. Columns not in the schema are translated by the naming strategy.
+   *
+   * @param {String} name The database column name.
+   * @returns {String} The column name.
+   */
+  _propertyName (name) {
+    if (_.has(this._propertyNames, name)) {
+      return this._propertyNames[name];
+    }
+    return this._naming.property(name);
+  }
+
+  /**
+   * Get the values of the primary key columns of the instance, e.g.
+   * `{ tenantId: 1, id: 2 }`.
+   *
+   * @returns {Object} The values by column.
+   */
+  _primaryKeyValues () {
+    return _.zipObject(this._primaryKey, _.map(this._primaryKey, (column) => this[column]));
+  }
+
+  /**
+   * Get the values of the primary key columns from a primary key value,
+   * which is either the value of the single primary key column or an object
+   * with the value of each column, as required for composite primary keys.
+   *
+   * @param {*} value The value of the primary key.
+   * @returns {Object} The values by column; throws a ValidationError if the
+   *                   value of any column is missing.
+   */
+  _primaryKeyCriteria (value) {
+    let values = value;
+    if (!_.isPlainObject(value)) {
+      values = this._primaryKey.length === 1 ? { [this._primaryKey[0]]: value } : {};
+    }
+    const errors = {};
+    _.each(this._primaryKey, (column) => {
+      if (_.isUndefined(values[column])) {
+        const message = `${column} must be given as part of the primary key`;
+        errors[column] = [{ rule: 'primaryKey', message, value: values[column] }];
+      }
+    });
+    if (!_.isEmpty(errors)) {
+      const messages = _.flatMap(errors, (failures) => _.map(failures, 'message'));
+      throw new error.ValidationError(messages.join(', '), errors);
+    }
+    return _.pick(values, this._primaryKey);
+  }
+
+  /**
+   * Read the relations definition and create an accessor method for each
+   * relation, e.g. `post.author()` or `user.posts()`.
+   */
+  _applyRelations (attributes) {
+    this._relations = _.mapValues(this.relations, (definition, name) => {
+      return new relations.Relation(this, name, definition);
+    });
+
+    if (attributes._empty) {
+      return;
+    }
+
+    // Eagerly loaded relations are kept here, by relation name.
+    this._related = {};
+
+    _.each(this._relations, (relation, name) => {
+      Object.defineProperty(this, name, {
+        value: (options) => relation.fetch(this, options)
+      });
+    });
   }
 
   /**
@@ -64,59 +201,191 @@ class Ormur {
       throw new error.ConfigurationError('Knex has not been configured.');
     }
 
-    if (_.isUndefined(this._primaryKey)) {
+    if (_.isEmpty(this._primaryKey)) {
       throw new error.ConfigurationError('A primary key must be defined.');
     }
+
+    _.each(_.pickBy(this.schema, 'virtual'), (rules, column) => {
+      if (!_.isFunction(rules.get)) {
+        throw new error.ConfigurationError(`Virtual column ${column} must define a get function.`);
+      }
+    });
+
+    const automatic = _.values(this._timestampColumns())
+      .concat(this._versionColumn() || [], this._softDeleteColumn() || []);
+    _.each(automatic, (column) => {
+      if (!_.has(this.schema, column)) {
+        throw new error.ConfigurationError(`Column ${column} must be defined in the schema.`);
+      }
+    });
+
+    // Verify the schema against the database once per model class, if
+    // enabled by setting `schemaVerification` to 'error' or 'warn'. Only
+    // schema problems are thrown, when not warning; failures to read the
+    // database are left to `schemaVerified`.
+    if (this.schemaVerification && !_.has(this.constructor, '_schemaVerification')) {
+      const warn = this.schemaVerification === 'warn';
+      const log = this.schemaVerificationLog || _.noop;
+      const verification = this.constructor.verifySchema(null, { warn, log });
+      this.constructor._schemaVerification = verification;
+      verification.catch(err => {
+        if (warn) {
+          log(`Schema of ${this.constructor.name} could not be verified: ${err.message}`);
+        } else if (err instanceof error.ConfigurationError) {
+          process.nextTick(() => {
+            throw err;
+          });
+        }
+      });
+    }
   }
 
   /**
    * Validate all columns against the built-in validations
    * along with any configured column validation functions.
+   *
+   * @param {Object} [options] Options for the queries of `unique` rules.
+   * @param {Object} [options.transacting] A transaction to run the queries in.
+   * @returns {Promise} Resolves to true if the instance is valid; otherwise
+   *                    rejects with a ValidationError listing all failures.
    */
-  validate () {
-    _.each(this.schema, (rules, column) => {
-      let value = this._properties[column];
+  validate (options) {
+    return this.getErrors(options).then(errors => {
+      if (!_.isEmpty(errors)) {
+        const messages = _.flatMap(errors, (failures) => _.map(failures, 'message'));
+        throw new error.ValidationError(messages.join(', '), errors);
+      }
+      return true;
+    });
+  }
 
-      // Temporarily set the default value if the value has not been set.
-      if (_.isUndefined(value) && !_.isUndefined(rules.defaultValue)) {
-        value = rules.defaultValue;
-        if (_.isFunction(value)) {
-          value = value();
-        }
+  /**
+   * Check whether the instance is valid, without rejecting.
+   *
+   * @param {Object} [options] Options for the queries of `unique` rules.
+   * @returns {Promise} Resolves to true if the instance is valid; otherwise false.
+   */
+  isValid (options) {
+    return this.getErrors(options).then(errors => _.isEmpty(errors));
+  }
+
+  /**
+   * Validate all columns and collect the failures by column, e.g.
+   * `{ email: [{ rule: 'notNull', message: 'email cannot be null', value: null }] }`.
+   *
+   * @param {Object} [options] Options for the queries of `unique` rules.
+   * @param {Boolean} [options.skipUnique] Skip the `unique` rules, e.g. when upserting.
+   * @returns {Promise} Resolves to the failures; an empty object if the instance is valid.
+   */
+  getErrors (options) {
+    return Promise.props(_.mapValues(this._storedSchema(), (rules, column) => {
+      return this._validateColumn(column, rules, options);
+    })).then(errors => _.omitBy(errors, _.isEmpty));
+  }
+
+  /**
+   * Validate the value of a single column against its rules. If the value is
+   * missing or of the wrong type, no further rules are checked. Otherwise the
+   * built-in rules (see `validators`), the custom validation function and the
+   * `unique` rule, which queries the table, are all checked.
+   *
+   * Custom validation functions may return a promise. A string (or a promise
+   * resolving to one) is treated as a failure with that string as the message;
+   * any other falsy value is a failure and any other truthy value a success.
+   *
+   * @param {String} column The column.
+   * @param {Object} rules The rules of the column from the schema.
+   * @param {Object} [options] Options for the query of the `unique` rule.
+   * @returns {Promise} Resolves to an array of failures.
+   */
+  _validateColumn (column, rules, options) {
+    let value = this._properties[column];
+
+    // Temporarily set the default value if the value has not been set.
+    if (_.isUndefined(value) && !_.isUndefined(rules.defaultValue)) {
+      value = rules.defaultValue;
+      if (_.isFunction(value)) {
+        value = value();
       }
+    }
+
+    const failure = (rule, message) => ({ rule, message, value });
 
-      // Check notNull rule.
-      if (rules.notNull && (_.isUndefined(value) || _.isNull(value))) {
-        throw new error.ValidationError(`${column} cannot be null`);
+    // Check notNull rule.
+    if (rules.notNull && (_.isUndefined(value) || _.isNull(value))) {
+      return Promise.resolve([failure('notNull', `${column} cannot be null`)]);
+    }
+
+    // Check that the type of the value matches the type rule.
+    if (!_.isUndefined(value) && !_.isNull(value) && !rules.auto) {
+      if (!types.validate(value, rules, (name) => this.constructor.getType(name))) {
+        return Promise.resolve([failure('type', `${column} must be of type ${rules.type}`)]);
       }
+    }
 
-      // Check that the type of the value matches the type rule.
-      if (!_.isUndefined(value) && !_.isNull(value) && !rules.auto) {
-        if (rules.type === 'string' && !_.isString(value) ||
-            rules.type === 'integer' && !_.isInteger(value) ||
-            rules.type === 'boolean' && !_.isBoolean(value) ||
-            rules.type === 'date' && !_.isDate(value) ||
-            rules.type === 'uuid' && !util.isUuid(value)) {
-          throw new error.ValidationError(`${column} must be of type ${rules.type}`);
+    // Check built-in rules.
+    const failures = [];
+    if (!_.isUndefined(value) && !_.isNull(value)) {
+      _.each(validators.rules, (check, rule) => {
+        const message = !_.isUndefined(rules[rule]) && check(value, rules[rule], column);
+        if (message) {
+          failures.push(failure(rule, message));
         }
-      }
+      });
+    }
+    const checks = [failures];
 
-      // Check custom validation rules.
-      if (!_.isUndefined(value) && _.isFunction(rules.validate)) {
-        if (!rules.validate(value)) {
-          throw new error.ValidationError(`column validation failed for ${column}`);
+    // Check custom validation rules.
+    if (!_.isUndefined(value) && _.isFunction(rules.validate)) {
+      checks.push(Promise.try(() => rules.validate(value)).then(result => {
+        if (_.isString(result)) {
+          return [failure('validate', result)];
         }
-      }
-    });
+        if (!result) {
+          return [failure('validate', `column validation failed for ${column}`)];
+        }
+        return [];
+      }));
+    }
+
+    // Check that no other row has the same value.
+    const checkUnique = rules.unique && !(options && options.skipUnique);
+    if (checkUnique && !_.isUndefined(value) && !_.isNull(value)) {
+      checks.push(this._isUnique(column, value, options).then(unique => {
+        return unique ? [] : [failure('unique', `${column} must be unique`)];
+      }));
+    }
 
-    return true;
+    return Promise.all(checks).then(_.flatten);
+  }
+
+  /**
+   * Check that no other row has the given value in the column, counting rows
+   * outside the default scope and soft-deleted rows too.
+   *
+   * @param {String} column The column.
+   * @param {*} value The value.
+   * @param {Object} [options] Options for the query.
+   * @returns {Promise} Resolves to true if no other row has the value; otherwise false.
+   */
+  _isUnique (column, value, options) {
+    const query = this.constructor.query()
+      .unscoped()
+      .withDeleted()
+      .transacting(options && options.transacting)
+      .where(column, value);
+    const primaryKeyValues = this._primaryKeyValues();
+    if (!_.some(primaryKeyValues, _.isNil)) {
+      query.whereNot(group => group.where(primaryKeyValues));
+    }
+    return query.exists().then(exists => !exists);
   }
 
   /**
    * Set the default values (if any) to columns without values.
    */
   setDefaults () {
-    _.each(this.schema, (rules, column) => {
+    _.each(this._storedSchema(), (rules, column) => {
       let value = this._properties[column];
       if (_.isUndefined(value) && rules.defaultValue) {
         value = rules.defaultValue;
@@ -131,14 +400,16 @@ class Ormur {
   /**
    * Transform the values of all columns with a defined transform function.
    * If the transform functions return a promise, they will be awaited.
+   * Columns of persisted instances are only transformed if they have changed,
+   * so that values already stored in the database are not transformed twice.
    *
    * @returns {Promise}
    */
   callTransforms () {
     const promises = {};
-    _.each(this.schema, (rules, column) => {
+    _.each(this._storedSchema(), (rules, column) => {
       const value = this._properties[column];
-      if (rules.transform) {
+      if (rules.transform && (!this._original || this.isDirty(column))) {
         this._properties[column] = rules.transform(value);
         if (this._properties[column].then) {
           promises[column] = this._properties[column];
@@ -157,71 +428,518 @@ class Ormur {
     return Promise.resolve();
   }
 
+  /**
+   * Get the values of the given properties in their database representation,
+   * with database column names. Virtual columns are left out.
+   *
+   * @param {Object} properties The properties, e.g. `this._properties`.
+   * @returns {Object} The row to write to the database.
+   */
+  _serialize (properties) {
+    const getType = (name) => this.constructor.getType(name);
+    const stored = _.omitBy(properties, (value, column) => (this.schema[column] || {}).virtual);
+    const values = _.mapValues(stored, (value, column) => {
+      return types.serialize(value, this.schema[column] || {}, getType);
+    });
+    return _.mapKeys(values, (value, column) => this._columnName(column));
+  }
+
+  /**
+   * Remember the current values as the values stored in the database.
+   */
+  _syncOriginal () {
+    this._original = _.cloneDeep(this._properties);
+  }
+
+  /**
+   * Check whether a column, or any column, has changed since the instance was
+   * loaded from or written to the database. All columns with values are
+   * considered changed on instances which have not been persisted.
+   *
+   * @param {String} [column] The column to check.
+   * @returns {Boolean} True if the column (or any column) has changed.
+   */
+  isDirty (column) {
+    if (_.isUndefined(column)) {
+      return !_.isEmpty(this.changedAttributes());
+    }
+    return !_.isEqual(this._properties[column], this.previous(column));
+  }
+
+  /**
+   * Get the columns which have changed, along with their current values.
+   *
+   * @returns {Object} The changed columns and their values.
+   */
+  changedAttributes () {
+    return _.pickBy(this._properties, (value, column) => this.isDirty(column));
+  }
+
+  /**
+   * Get the value of a column as it was when the instance was loaded from or
+   * written to the database.
+   *
+   * @param {String} column The column.
+   * @returns {*} The previous value, or undefined if not persisted.
+   */
+  previous (column) {
+    return (this._original || {})[column];
+  }
+
   /**
    * Process the instance before saving, by validating the data, setting
-   * defaults and calling transform functions if required.
+   * defaults and calling transform functions if required. The beforeValidate
+   * and afterValidate hooks are run around the validation.
    *
-   * @param {String} [type="update"] Specify whether this is an update or not.
+   * @param {Object} [options] Options for the query, passed to the hooks.
    * @returns {Promise}
    */
-  beforeSave () {
-    this.validate();
-    this.setDefaults();
-    return this.callTransforms();
+  beforeSave (options) {
+    return this.runHooks('beforeValidate', options)
+      .then(() => this.validate(options))
+      .then(() => this.runHooks('afterValidate', options))
+      .then(() => {
+        this.setDefaults();
+        return this.callTransforms();
+      });
+  }
+
+  /**
+   * Run the hooks registered for the model class (and its parent classes)
+   * with the given name, in order. Each hook receives the instance and the
+   * options and may return a promise, which is awaited.
+   *
+   * @param {String} name The name of the hook, e.g. "beforeCreate".
+   * @param {Object} [options] Options for the query.
+   * @returns {Promise} Rejects if any of the hooks throws or rejects.
+   */
+  runHooks (name, options) {
+    return Promise.each(this.constructor.getHooks(name), (hook) => hook.call(this, this, options));
+  }
+
+  /**
+   * Run a write operation between its before and after hooks. If hooks are
+   * registered and no transaction was passed, the operation is run in a new
+   * transaction so that a rejecting after hook also reverts the write.
+   *
+   * @param {String} type The type of operation; "Create", "Update" or "Destroy".
+   * @param {Object} [options] Options for the query.
+   * @param {Function} operation Receives the options and returns a promise.
+   * @returns {Promise} Resolves to the result of the operation.
+   */
+  _runOperation (type, options, operation) {
+    const before = `before${type}`;
+    const after = `after${type}`;
+    const run = (runOptions) => {
+      return this.runHooks(before, runOptions)
+        .then(() => operation(runOptions))
+        .then(result => (result || this).runHooks(after, runOptions).then(() => result));
+    };
+
+    return this.constructor._runHooked(type, options, run);
+  }
+
+  /**
+   * Get the Knex instance to run queries with, which is the transaction in
+   * the options if there is one.
+   *
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A Knex transaction.
+   * @returns {Object} The Knex instance or transaction.
+   */
+  _knex (options) {
+    return (options && options.transacting) || this.knex;
   }
 
   /**
-   * Insert a new row into the database with the current values.
+   * Check whether the instance has not been persisted, i.e. it has neither
+   * been loaded from nor written to the database.
    *
-   * @returns {Promise} Resolves to a new Ormur model instance with the resulting data.
+   * @returns {Boolean} True if the instance is new; otherwise false.
    */
-  save () {
-    return this.beforeSave().then(() => {
-      return this.knex
-        .insert(util.snakeCased(this._properties), this._primaryKey)
-        .into(this._tableName)
-        .returning('*')
-        .then(results => new this.constructor(results[0]));
+  isNew () {
+    return _.isNull(this._original);
+  }
+
+  /**
+   * Persist the instance, inserting a new row if the instance is new and
+   * updating the existing row otherwise.
+   *
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @param {Boolean} [options.copy=false] Resolve to a new instance with the
+   *                                       resulting data instead.
+   * @returns {Promise} Resolves to the instance, updated with the resulting data.
+   */
+  save (options) {
+    return this.isNew() ? this.insert(options) : this.update(options);
+  }
+
+  /**
+   * Insert a new row into the database with the current values. The
+   * resulting row, including the primary key and any values set by the
+   * database, is read back into the instance.
+   *
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @param {Boolean} [options.copy=false] Resolve to a new instance with the
+   *                                       resulting data instead.
+   * @returns {Promise} Resolves to the instance, updated with the resulting data.
+   *                    The instance is left unchanged if the insert fails.
+   */
+  insert (options) {
+    const snapshot = this._snapshot();
+    this._setInsertValues();
+    return this.beforeSave(options).then(() => {
+      return this._runOperation('Create', options, (runOptions) => {
+        return this._knex(runOptions)
+          .insert(this._serialize(this._properties))
+          .into(this._tableName)
+          .returning('*')
+          .then(results => this._written(results[0], runOptions));
+      }).catch(err => {
+        this._restore(snapshot);
+        throw err;
+      });
     });
   }
 
   /**
-   * Update an existing row in the database with the current values.
+   * Copy the values of the instance, so that they can be restored if writing
+   * them fails.
+   */
+  _snapshot () {
+    return { properties: _.clone(this._properties), original: _.clone(this._original) };
+  }
+
+  /**
+   * Restore the values of the instance from a snapshot, e.g. when an after
+   * hook rejected and the written row was rolled back.
+   */
+  _restore (snapshot) {
+    this._properties = snapshot.properties;
+    this._original = snapshot.original;
+  }
+
+  /**
+   * Set the timestamps and the version of a row about to be inserted, if the
+   * model has them and they are not already set.
+   */
+  _setInsertValues () {
+    const now = new Date();
+    _.each(this._timestampColumns(), (column) => {
+      if (_.isUndefined(this._properties[column])) {
+        this._properties[column] = now;
+      }
+    });
+    const version = this._versionColumn();
+    if (version && _.isUndefined(this._properties[version])) {
+      this._properties[version] = 1;
+    }
+  }
+
+  /**
+   * Update an existing row in the database with the values of the columns
+   * which have changed. Nothing is done if no column has changed. The
+   * resulting row is read back into the instance.
    *
-   * @returns {Promise} Resolves to a new Ormur model instance with the resulting data.
+   * With optimistic locking, the row is only updated if its version is still
+   * the one read into the instance, and the version is incremented.
+   *
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @param {Boolean} [options.copy=false] Resolve to a new instance with the
+   *                                       resulting data instead.
+   * @returns {Promise} Resolves to the instance, updated with the resulting data;
+   *                    rejects with a StaleObjectError if the version has changed,
+   *                    or a NotFoundError if the row no longer exists. The
+   *                    instance is left unchanged if the update fails.
    */
-  update () {
-    return this.beforeSave().then(() => {
-      return this.knex(this._tableName)
-        .where(this._primaryKey, this[this._primaryKey])
-        .returning('*')
-        .update(util.snakeCased(this._properties))
-        .then(results => new this.constructor(results[0]));
+  update (options) {
+    if (!this.isDirty()) {
+      return Promise.resolve(this);
+    }
+
+    const snapshot = this._snapshot();
+    const timestamps = this._timestampColumns();
+    if (timestamps) {
+      this._properties[timestamps.updatedAt] = new Date();
+    }
+
+    return this.beforeSave(options).then(() => {
+      return this._runOperation('Update', options, (runOptions) => {
+        const changes = this.changedAttributes();
+        const query = this._knex(runOptions)(this._tableName)
+          .where(this._serialize(this._primaryKeyValues()));
+
+        const version = this._versionColumn();
+        if (version) {
+          const current = this._original ? this._original[version] : this[version];
+          query.where(this._columnName(version), current);
+          changes[version] = current + 1;
+        }
+
+        return query
+          .returning('*')
+          .update(this._serialize(changes))
+          .then(results => {
+            if (version && _.isEmpty(results)) {
+              throw new error.StaleObjectError(
+                `${this._tableName} row has been changed or removed since it was read.`);
+            }
+            if (_.isEmpty(results)) {
+              throw new error.NotFoundError(`${this._tableName} row no longer exists.`);
+            }
+            return this._written(results[0], runOptions);
+          });
+      }).catch(err => {
+        this._restore(snapshot);
+        throw err;
+      });
     });
   }
 
+  /**
+   * Get the columns set by the `timestamps` option of the model, which is
+   * either true, for `createdAt` and `updatedAt`, or an object naming the
+   * columns, e.g. `{ createdAt: 'insertedAt' }`.
+   *
+   * @returns {Object|null} The columns by purpose, or null if disabled.
+   */
+  _timestampColumns () {
+    if (!this.timestamps) {
+      return null;
+    }
+    return _.assign({ createdAt: 'createdAt', updatedAt: 'updatedAt' },
+                    _.isPlainObject(this.timestamps) ? this.timestamps : {});
+  }
+
+  /**
+   * Get the column used for optimistic locking, which is set by the
+   * `optimisticLocking` option of the model: `version` if the option is true,
+   * or the column name it is set to.
+   *
+   * @returns {String|null} The column name, or null if disabled.
+   */
+  _versionColumn () {
+    if (!this.optimisticLocking) {
+      return null;
+    }
+    return _.isString(this.optimisticLocking) ? this.optimisticLocking : 'version';
+  }
+
   /**
    * Remove the row from the database.
    *
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to null.
+   */
+  destroy (options) {
+    const column = this._softDeleteColumn();
+    if (!column) {
+      return this.forceDestroy(options);
+    }
+    return this._runOperation('Destroy', options, (runOptions) => {
+      return this._setDeletedAt(column, new Date(), runOptions).then(() => null);
+    });
+  }
+
+  /**
+   * Remove the row from the database, even if the model soft deletes.
+   *
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
    * @returns {Promise} Resolves to null.
    */
-  destroy () {
-    return this.knex(this._tableName)
-      .where(this._primaryKey, this[this._primaryKey])
-      .del()
-      .then(() => null);
+  forceDestroy (options) {
+    return this._runOperation('Destroy', options, (runOptions) => {
+      return this._rowQuery(runOptions).del().then(() => null);
+    });
+  }
+
+  /**
+   * Restore a soft-deleted row by clearing its deletion timestamp.
+   *
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to the instance.
+   */
+  restore (options) {
+    const column = this._softDeleteColumn();
+    if (!column) {
+      return Promise.reject(new error.ConfigurationError(
+        `${this.constructor.name} does not soft delete; there is nothing to restore.`));
+    }
+    return this._setDeletedAt(column, null, options).then(() => this);
+  }
+
+  /**
+   * Get the column marking soft-deleted rows, which is set by the `softDelete`
+   * option of the model: `deletedAt` if the option is true, or the column
+   * name it is set to.
+   *
+   * @returns {String|null} The column name, or null if the model does not soft delete.
+   */
+  _softDeleteColumn () {
+    if (!this.softDelete) {
+      return null;
+    }
+    return _.isString(this.softDelete) ? this.softDelete : 'deletedAt';
+  }
+
+  /**
+   * Write the deletion timestamp of a soft-deleted row, keeping the instance
+   * in sync.
+   */
+  _setDeletedAt (column, value, options) {
+    return this._rowQuery(options)
+      .update({ [this._columnName(column)]: value })
+      .then(() => {
+        if (this._properties) {
+          this._properties[column] = value;
+          if (this._original) {
+            this._original[column] = value;
+          }
+        }
+      });
+  }
+
+  /**
+   * Build a Knex query for the row of the instance, including it if
+   * soft-deleted. The default scope of the model is left out, unless the
+   * `scoped` option is set (as when destroying rows by primary key).
+   */
+  _rowQuery (options) {
+    const query = this.constructor.query()
+      .withDeleted()
+      .transacting(options && options.transacting)
+      .where(this._primaryKeyValues());
+    if (!(options && options.scoped)) {
+      query.unscoped();
+    }
+    return query.toKnex(['where']);
+  }
+
+  /**
+   * Read the row from the database into the instance, discarding any changes.
+   *
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to the instance; rejects with a NotFoundError
+   *                    if the row no longer exists.
+   */
+  reload (options) {
+    const findOptions = _.assign({}, options, { withDeleted: true, unscoped: true });
+    return this.constructor.find(this._primaryKeyValues(), findOptions).then(result => {
+      if (!result) {
+        throw new error.NotFoundError(`${this._tableName} row no longer exists.`);
+      }
+      return this._readRow(result._properties);
+    });
+  }
+
+  /**
+   * Read a row from the database into the instance, replacing its values.
+   *
+   * @param {Object} row The row.
+   * @returns {Ormur} The instance.
+   */
+  _readRow (row) {
+    this._properties = new this.constructor(row)._properties;
+    this._syncOriginal();
+    return this;
+  }
+
+  /**
+   * Read a row which has just been written into the instance, or into a new
+   * instance if the `copy` option is set.
+   *
+   * @param {Object} row The row.
+   * @param {Object} [options] Options for the query.
+   * @returns {Ormur} The instance with the resulting data.
+   */
+  _written (row, options) {
+    if (options && options.copy) {
+      return this.constructor._fromDatabase(row);
+    }
+    return this._readRow(row);
   }
 
   /**
    * Ensure that hidden (private) columns are not included when
-   * JSON.stringify is called on the instance.
+   * JSON.stringify is called on the instance. Virtual columns and eagerly
+   * loaded relations are included, the latter serialized the same way.
    *
+   * @param {Object} [options] Options for the serialization.
+   * @param {Array} [options.only] Only include these columns and relations.
+   * @param {Array} [options.except] Leave out these columns and relations.
+   * @param {Object|Array} [options.include] Further values by key, either as
+   *                                         functions receiving the instance
+   *                                         or as names of instance properties.
+   * @param {Boolean} [options.includeHidden] Include hidden columns as well.
    * @returns {Object} The public properties of the instance.
    */
-  toJSON () {
-    const hiddenColumns = _(this.schema)
-      .map((value, key) => value.hidden ? key : null).compact().value();
-    return util.camelCased(_.omit(this._properties, hiddenColumns));
+  toJSON (options) {
+    // JSON.stringify passes the key of the instance instead of options.
+    options = _.isPlainObject(options) ? options : {};
+
+    let json = {};
+    _.each(this.schema, (rules, column) => {
+      const value = this[column];
+      if (!_.isUndefined(value) && (!rules.hidden || options.includeHidden)) {
+        json[column] = value;
+      }
+    });
+    _.each(this._related, (related, name) => {
+      json[name] = _.isArray(related) ?
+        _.map(related, (instance) => instance.toJSON()) :
+        related && related.toJSON();
+    });
+
+    if (options.only) {
+      json = _.pick(json, options.only);
+    }
+    if (options.except) {
+      json = _.omit(json, options.except);
+    }
+    if (_.isArray(options.include)) {
+      _.each(options.include, (name) => {
+        json[name] = this[name];
+      });
+    } else {
+      _.each(options.include, (value, key) => {
+        json[key] = _.isFunction(value) ? value(this) : value;
+      });
+    }
+    return json;
+  }
+
+  /**
+   * Serialize the instance by a named profile, as declared by the
+   * `serializationProfiles` of the model, e.g.
+   * `{ public: { only: ['id', 'name'] }, admin: { includeHidden: true } }`.
+   *
+   * @param {String} name The name of the profile.
+   * @returns {Object} The properties of the instance, as serialized by `toJSON`
+   *                   with the options of the profile.
+   */
+  serialize (name) {
+    const profiles = this.serializationProfiles || {};
+    if (!_.has(profiles, name)) {
+      throw new error.ConfigurationError(`Serialization profile ${name} is not defined.`);
+    }
+    return this.toJSON(profiles[name]);
+  }
+
+  /**
+   * Get the data of an eagerly loaded relation.
+   *
+   * @param {String} name The name of the relation.
+   * @returns {Ormur|Array|null|undefined} The related instance(s) or undefined if not loaded.
+   */
+  getRelated (name) {
+    return this._related[name];
   }
 
   /**
@@ -235,57 +953,763 @@ class Ormur {
     return _.merge(destination, source);
   }
 
+  /**
+   * Create a model instance from a row read from the database.
+   *
+   * @param {Object} row The row.
+   * @returns {Ormur} The model instance.
+   */
+  static _fromDatabase (row) {
+    const instance = new this(row);
+    instance._syncOriginal();
+    return instance;
+  }
+
+  /**
+   * Start a lazy, chainable query against the table of the model.
+   *
+   * @returns {Query} A query which resolves to an array of Ormur model instances.
+   */
+  static query () {
+    return new Query(this);
+  }
+
   /**
    * Find a row by primary key.
    *
-   * @param {Integer|String} primaryKeyValue The value of the primary key.
-   * @returns {Promise} Resolves to a new Ormur model instance with the result or null.
+   * @param {Integer|String|Object} primaryKeyValue The value of the primary key;
+   *                                                an object with the value of
+   *                                                each column for composite
+   *                                                primary keys.
+   * @param {Object} [options] Options for the query.
+   * @param {Array} [options.withRelated] Relations to load along with the result.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to a new Ormur model instance with the result or
+   *                    null; rejects with a ValidationError if the value of a
+   *                    primary key column is missing.
    */
-  static find (primaryKeyValue) {
+  static find (primaryKeyValue, options) {
+    options = options || {};
     const instance = new this({ _empty: true });
-    return instance.knex(instance._tableName)
-      .where(instance._primaryKey, primaryKeyValue)
-      .then(results => {
-        if (!_.isEmpty(results)) {
-          return new this(results[0]);
-        }
-        return null;
-      });
+    const query = this.query();
+    if (options.withDeleted) {
+      query.withDeleted();
+    }
+    if (options.unscoped) {
+      query.unscoped();
+    }
+    return Promise.try(() => instance._primaryKeyCriteria(primaryKeyValue)).then(criteria => {
+      return query
+        .where(criteria)
+        .withRelated(options.withRelated || [])
+        .transacting(options.transacting)
+        .first();
+    });
   }
 
   /**
    * Find all rows matching the provided options.
    *
    * @param {Object} attributes The keys and values with which to filter.
-   * @returns {Promise} Resolves to an array containing Ormur model instances from results if any.
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Query} Resolves to an array containing Ormur model instances from results if any.
    */
-  static where (attributes) {
-    const instance = new this({ _empty: true });
-    return instance.knex(instance._tableName)
-      .where(util.snakeCased(attributes))
-      .then(results => _.map(results, (result) => new this(result)));
+  static where (attributes, options) {
+    options = options || {};
+    return this.query().where(attributes).transacting(options.transacting);
+  }
+
+  /**
+   * Count the rows matching the criteria.
+   *
+   * @param {Object|Function} [criteria] Filters, as for `Query#where`.
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to the number of matching rows.
+   */
+  static count (criteria, options) {
+    return this._aggregateQuery(criteria, options).count();
+  }
+
+  /**
+   * Sum the values of a column in the rows matching the criteria.
+   *
+   * @param {String} column The column name.
+   * @param {Object|Function} [criteria] Filters, as for `Query#where`.
+   * @param {Object} [options] Options for the query.
+   * @returns {Promise} Resolves to the sum, or null if no rows match.
+   */
+  static sum (column, criteria, options) {
+    return this._aggregateQuery(criteria, options).sum(column);
+  }
+
+  /**
+   * Average the values of a column in the rows matching the criteria.
+   *
+   * @param {String} column The column name.
+   * @param {Object|Function} [criteria] Filters, as for `Query#where`.
+   * @param {Object} [options] Options for the query.
+   * @returns {Promise} Resolves to the average, or null if no rows match.
+   */
+  static avg (column, criteria, options) {
+    return this._aggregateQuery(criteria, options).avg(column);
+  }
+
+  /**
+   * Find the smallest value of a column in the rows matching the criteria.
+   *
+   * @param {String} column The column name.
+   * @param {Object|Function} [criteria] Filters, as for `Query#where`.
+   * @param {Object} [options] Options for the query.
+   * @returns {Promise} Resolves to the value, or null if no rows match.
+   */
+  static min (column, criteria, options) {
+    return this._aggregateQuery(criteria, options).min(column);
+  }
+
+  /**
+   * Find the largest value of a column in the rows matching the criteria.
+   *
+   * @param {String} column The column name.
+   * @param {Object|Function} [criteria] Filters, as for `Query#where`.
+   * @param {Object} [options] Options for the query.
+   * @returns {Promise} Resolves to the value, or null if no rows match.
+   */
+  static max (column, criteria, options) {
+    return this._aggregateQuery(criteria, options).max(column);
+  }
+
+  /**
+   * Start a query for an aggregate, filtered by the criteria if given.
+   */
+  static _aggregateQuery (criteria, options) {
+    const query = this.query().transacting(options && options.transacting);
+    return criteria ? query.where(criteria) : query;
+  }
+
+  /**
+   * Find rows a page at a time, either by page number or by cursor; see
+   * `Query#paginate` for the options.
+   *
+   * @param {Object} [options] Options for the pagination and the query.
+   * @param {Object|Function} [options.where] Filters, as for `Query#where`.
+   * @param {Object} [options.transacting] A transaction to run the queries in.
+   * @returns {Promise} Resolves to the page of Ormur model instances.
+   */
+  static paginate (options) {
+    options = options || {};
+    const query = this.query().transacting(options.transacting);
+    if (options.where) {
+      query.where(options.where);
+    }
+    return query.paginate(options);
+  }
+
+  /**
+   * Find rows in batches ordered by primary key; see `Query#findInBatches`.
+   *
+   * @param {Object} [options] Options for the batches and the query.
+   * @param {Integer} [options.batchSize=1000] The number of rows per batch.
+   * @param {Object|Function} [options.where] Filters, as for `Query#where`.
+   * @param {Object} [options.transacting] A transaction to run the queries in.
+   * @param {Function} callback Receives each batch of Ormur model instances
+   *                            and may return a promise.
+   * @returns {Promise} Resolves to the number of rows processed.
+   */
+  static findInBatches (options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    const query = this.query().transacting(options.transacting);
+    if (options.where) {
+      query.where(options.where);
+    }
+    return query.findInBatches(options, callback);
   }
 
   /**
    * Create a model instance with the provided attributes and save it.
    *
    * @param {Object} attributes The attributes for the instance.
-   * @returns {Promise} Resoolves to a new Ormur model instance with the result.
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to the new Ormur model instance with the result.
+   */
+  static create (attributes, options) {
+    return new this(attributes).save(options);
+  }
+
+  /**
+   * Create many rows with a single query. Each instance is validated and has
+   * its defaults and transforms applied first, and nothing is written unless
+   * all of them are valid. The beforeCreate and afterCreate hooks are run for
+   * each instance.
+   *
+   * @param {Array} attributesList The attributes for each instance.
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to the new Ormur model instances; rejects with a
+   *                    ValidationError whose errors are keyed by the index of
+   *                    each invalid record.
    */
-  static create (attributes) {
-    return new this(attributes).save();
+  static createMany (attributesList, options) {
+    const instances = _.map(attributesList, (attributes) => new this(attributes));
+    if (_.isEmpty(instances)) {
+      return Promise.resolve([]);
+    }
+
+    return this._prepareMany(instances, options).then(() => {
+      const context = instances[0];
+      return this._runHooked('Create', options, (runOptions) => {
+        return Promise.each(instances, (instance) => instance.runHooks('beforeCreate', runOptions))
+          .then(() => {
+            return context._knex(runOptions)
+              .insert(_.map(instances, (instance) => instance._serialize(instance._properties)))
+              .into(context._tableName)
+              .returning('*');
+          })
+          .then(rows => _.map(rows, (row, index) => instances[index]._written(row, runOptions)))
+          .then(results => {
+            return Promise.each(results, (result) => result.runHooks('afterCreate', runOptions))
+              .then(() => results);
+          });
+      });
+    });
   }
 
   /**
-   * Remove a row by primary key.
+   * Prepare many instances to be inserted, by setting timestamps and versions
+   * and running `beforeSave` for each of them.
    *
-   * @param {Integer|String} primaryKeyValue The value of the primary key.
+   * @param {Array} instances The model instances.
+   * @param {Object} [options] Options for the queries, passed to the hooks.
+   * @returns {Promise} Rejects with a ValidationError whose errors are keyed by
+   *                    the index of each invalid instance.
+   */
+  static _prepareMany (instances, options) {
+    return Promise.mapSeries(instances, (instance, index) => {
+      instance._setInsertValues();
+      return instance.beforeSave(options).then(() => null, (err) => {
+        if (!(err instanceof error.ValidationError)) {
+          throw err;
+        }
+        return { index, err };
+      });
+    }).then(failures => {
+      failures = _.compact(failures);
+      if (!_.isEmpty(failures)) {
+        const messages = _.map(failures, (failure) => `#${failure.index}: ${failure.err.message}`);
+        const errors = _.fromPairs(_.map(failures, (failure) => {
+          return [failure.index, failure.err.errors];
+        }));
+        throw new error.ValidationError(messages.join('; '), errors);
+      }
+    });
+  }
+
+  /**
+   * Insert a row, or update the existing row if it conflicts with another
+   * one on the columns of the conflict target, with a single query. The
+   * instance is validated first, except for `unique` rules. Hooks other than
+   * the validation hooks are not run, as it is not known whether the row will
+   * be created or updated.
+   *
+   * @param {Object} attributes The attributes for the instance.
+   * @param {Object} options Options for the query.
+   * @param {Array|String} options.conflictTarget The columns of a unique index or
+   *                                              constraint, e.g. `['email']`.
+   * @param {Array} [options.update] The columns to update on conflict; all columns
+   *                                 with values except the conflict target by default.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to the created or updated Ormur model instance.
+   */
+  static upsert (attributes, options) {
+    const instance = new this(attributes);
+    return Promise.try(() => {
+      this._conflictTarget(options);
+      instance._setInsertValues();
+      return instance.beforeSave(_.assign({}, options, { skipUnique: true }));
+    }).then(() => this._upsertInstances([instance], options)).then(results => results[0]);
+  }
+
+  /**
+   * Like `upsert`, but for many rows with a single query. No two rows may
+   * conflict with each other.
+   *
+   * @param {Array} attributesList The attributes for each instance.
+   * @param {Object} options Options for the query, as for `upsert`.
+   * @returns {Promise} Resolves to the created or updated Ormur model instances;
+   *                    rejects with a ValidationError whose errors are keyed by
+   *                    the index of each invalid record.
+   */
+  static upsertMany (attributesList, options) {
+    const instances = _.map(attributesList, (attributes) => new this(attributes));
+    return Promise.try(() => {
+      this._conflictTarget(options);
+      if (!_.isEmpty(instances)) {
+        return this._prepareMany(instances, _.assign({}, options, { skipUnique: true }))
+          .then(() => this._upsertInstances(instances, options));
+      }
+      return [];
+    });
+  }
+
+  /**
+   * Get the conflict target columns of upsert options.
+   */
+  static _conflictTarget (options) {
+    const columns = _.castArray((options && options.conflictTarget) || []);
+    if (_.isEmpty(columns)) {
+      throw new error.ConfigurationError('A conflictTarget must be given to upsert.');
+    }
+    return columns;
+  }
+
+  /**
+   * Insert prepared instances with an `ON CONFLICT ... DO UPDATE` clause and
+   * read the resulting rows back into them. Knex has no support for the
+   * clause, so it is appended to the SQL of the insert query.
+   */
+  static _upsertInstances (instances, options) {
+    options = options || {};
+    const context = instances[0];
+    const knex = context._knex(options);
+    const conflictTarget = _.map(this._conflictTarget(options), (column) => {
+      return context._columnName(column);
+    });
+    const rows = _.map(instances, (instance) => instance._serialize(instance._properties));
+
+    const timestamps = context._timestampColumns();
+    const version = context._versionColumn();
+    let update;
+    if (options.update) {
+      update = _.map(options.update, (column) => context._columnName(column));
+    } else {
+      const primaryKey = _.map(context._primaryKey, (column) => context._columnName(column));
+      const excluded = conflictTarget.concat(primaryKey);
+      if (timestamps) {
+        excluded.push(context._columnName(timestamps.createdAt));
+      }
+      update = _.difference(_(rows).flatMap(_.keys).uniq().value(), excluded);
+    }
+    if (timestamps) {
+      update = _.union(update, [context._columnName(timestamps.updatedAt)]);
+    }
+    if (version) {
+      update = _.without(update, context._columnName(version));
+    }
+    if (_.isEmpty(update) && !version) {
+      // Update a column to itself, so that the conflicting row is returned.
+      update = [conflictTarget[0]];
+    }
+
+    const assignments = _.map(update, () => '?? = excluded.??');
+    const bindings = _.flatMap(update, (column) => [column, column]);
+    if (version) {
+      assignments.push('?? = ??.?? + 1');
+      const column = context._columnName(version);
+      bindings.push(column, context._tableName, column);
+    }
+
+    const insert = knex(context._tableName).insert(rows).toSQL();
+    const sql = `${insert.sql} on conflict (${_.map(conflictTarget, () => '??').join(', ')}) ` +
+                `do update set ${assignments.join(', ')} returning *`;
+    return knex.raw(sql, insert.bindings.concat(conflictTarget, bindings)).then(result => {
+      return _.map(result.rows, (row, index) => instances[index]._written(row, options));
+    });
+  }
+
+  /**
+   * Find the first row matching the criteria, or create one with the criteria
+   * and the defaults if there is none. If another row matching the criteria is
+   * created concurrently, that row is found instead.
+   *
+   * @param {Object} criteria The attributes to find the row by.
+   * @param {Object} [defaults] Further attributes for a created row.
+   * @param {Object} [options] Options for the queries.
+   * @param {Object} [options.transacting] A transaction to run the queries in.
+   * @returns {Promise} Resolves to the found or created Ormur model instance.
+   */
+  static findOrCreate (criteria, defaults, options) {
+    options = options || {};
+    const find = () => this.where(criteria, options).first();
+    return find().then(found => {
+      if (found) {
+        return found;
+      }
+      return this.create(_.assign({}, defaults, criteria), options).catch(err => {
+        const failures = _.flatten(_.values(err.errors));
+        const isUniqueFailure = err instanceof error.ValidationError &&
+                                _.every(failures, { rule: 'unique' });
+        const conflicted = err.code === '23505' || isUniqueFailure;
+        // A failed query aborts the transaction, so the row cannot be found in it.
+        if (!conflicted || (err.code && options.transacting)) {
+          throw err;
+        }
+        return find().then(result => {
+          if (!result) {
+            throw err;
+          }
+          return result;
+        });
+      });
+    });
+  }
+
+  /**
+   * Update all rows matching the criteria with the same changes. Validation
+   * and hooks are skipped, but the changes are transformed as when saving
+   * instances, and timestamps and versions are updated.
+   *
+   * @param {Object|Function} criteria Attributes or a function, as for `Query#where`.
+   * @param {Object} changes The attributes to set.
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to the number of updated rows.
+   */
+  static updateWhere (criteria, changes, options) {
+    options = options || {};
+    const query = this.query().where(criteria).transacting(options.transacting);
+    const context = query._context;
+    const schema = context._storedSchema();
+    const transformed = _.mapValues(changes, (value, column) => {
+      const rules = schema[column];
+      return rules && rules.transform ? rules.transform(value) : value;
+    });
+
+    return Promise.props(transformed).then(results => {
+      changes = results;
+      const timestamps = context._timestampColumns();
+      if (timestamps && _.isUndefined(changes[timestamps.updatedAt])) {
+        changes[timestamps.updatedAt] = new Date();
+      }
+      const values = context._serialize(changes);
+      const version = context._versionColumn();
+      if (version) {
+        const column = context._columnName(version);
+        values[column] = context.knex.raw('?? + 1', [column]);
+      }
+      return query.toKnex(['where']).update(values);
+    });
+  }
+
+  /**
+   * Remove all rows matching the criteria, or soft delete them if the model
+   * soft deletes. Hooks are skipped.
+   *
+   * @param {Object|Function} criteria Attributes or a function, as for `Query#where`.
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to the number of removed rows.
+   */
+  static destroyWhere (criteria, options) {
+    options = options || {};
+    const query = this.query().where(criteria).transacting(options.transacting);
+    const column = query._context._softDeleteColumn();
+    if (column) {
+      return query.toKnex(['where']).update({ [query._context._columnName(column)]: new Date() });
+    }
+    return query.toKnex(['where']).del();
+  }
+
+  /**
+   * Run a write operation, in a new transaction if hooks of the type are
+   * registered and no transaction was passed, so that a rejecting after hook
+   * also reverts the write.
+   *
+   * @param {String} type The type of operation; "Create", "Update" or "Destroy".
+   * @param {Object} [options] Options for the query.
+   * @param {Function} run Receives the options and returns a promise.
+   * @returns {Promise} Resolves to the result of the operation.
+   */
+  static _runHooked (type, options, run) {
+    const hasHooks = !_.isEmpty(this.getHooks(`before${type}`)) ||
+                     !_.isEmpty(this.getHooks(`after${type}`));
+    if (!hasHooks || (options && options.transacting)) {
+      return run(options);
+    }
+    return this.transaction(trx => run(_.assign({}, options, { transacting: trx })));
+  }
+
+  /**
+   * Remove a row by primary key, within the default scope of the model.
+   *
+   * @param {Integer|String|Object} primaryKeyValue The value of the primary key
+   *                                                (see `find`).
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise} Resolves to null.
+   */
+  static destroy (primaryKeyValue, options) {
+    const instance = new this({ _empty: true });
+    return Promise.try(() => {
+      _.assign(instance, instance._primaryKeyCriteria(primaryKeyValue));
+      return instance.destroy(_.assign({}, options, { scoped: true }));
+    });
+  }
+
+  /**
+   * Remove a row by primary key, even if the model soft deletes.
+   *
+   * @param {Integer|String|Object} primaryKeyValue The value of the primary key
+   *                                                (see `find`).
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
    * @returns {Promise} Resolves to null.
    */
-  static destroy (primaryKeyValue) {
+  static forceDestroy (primaryKeyValue, options) {
+    const instance = new this({ _empty: true });
+    return Promise.try(() => {
+      _.assign(instance, instance._primaryKeyCriteria(primaryKeyValue));
+      return instance.forceDestroy(_.assign({}, options, { scoped: true }));
+    });
+  }
+
+  /**
+   * Register a lifecycle hook for the model class. Hooks are inherited by
+   * subclasses, and hooks of parent classes run first. Available hooks are
+   * beforeValidate, afterValidate, beforeCreate, afterCreate, beforeUpdate,
+   * afterUpdate, beforeDestroy, afterDestroy and afterFetch. A hook that
+   * throws or rejects aborts the operation.
+   *
+   * @param {String} name The name of the hook.
+   * @param {Function} hook Receives the instance and the query options.
+   * @returns {Function} The model class, for chaining.
+   */
+  static addHook (name, hook) {
+    if (!_.includes(HOOKS, name)) {
+      throw new error.ConfigurationError(`Unknown hook ${name}.`);
+    }
+    if (!_.has(this, '_hooks')) {
+      this._hooks = {};
+    }
+    this._hooks[name] = (this._hooks[name] || []).concat(hook);
+    return this;
+  }
+
+  /**
+   * Register a named scope for the model class, which becomes a chainable
+   * method of its queries and a static method starting a query, e.g.
+   * `User.active().recent(30)`. Scopes are inherited by subclasses. The scope
+   * named "default" is instead applied to all queries of the model, unless
+   * they are `unscoped()`.
+   *
+   * @param {String} name The name of the scope.
+   * @param {Function} scope Receives the query, followed by any arguments
+   *                         passed to the scope method, and adds to it.
+   * @returns {Function} The model class, for chaining.
+   */
+  static addScope (name, scope) {
+    if (!_.isFunction(scope)) {
+      throw new error.ConfigurationError(`Scope ${name} must be a function.`);
+    }
+    const isScope = _.has(this.getScopes(), name);
+    if (name in Query.prototype || (!isScope && !_.isUndefined(this[name]))) {
+      throw new error.ConfigurationError(`Scope ${name} conflicts with an existing method.`);
+    }
+    if (!_.has(this, '_scopes')) {
+      this._scopes = {};
+    }
+    this._scopes[name] = scope;
+    if (name !== 'default' && !isScope) {
+      this[name] = function scoped () {
+        const query = this.query();
+        return query[name].apply(query, arguments);
+      };
+    }
+    return this;
+  }
+
+  /**
+   * Get the scopes registered for the model class and its parent classes.
+   *
+   * @returns {Object} The scope functions by name; those of subclasses take
+   *                   precedence.
+   */
+  static getScopes () {
+    let scopes = {};
+    let Model = this;
+    while (Model && Model !== Function.prototype) {
+      if (_.has(Model, '_scopes')) {
+        scopes = _.assign({}, Model._scopes, scopes);
+      }
+      Model = Object.getPrototypeOf(Model);
+    }
+    return scopes;
+  }
+
+  /**
+   * Start a query without the default scope of the model.
+   *
+   * @returns {Query} A query which resolves to an array of Ormur model instances.
+   */
+  static unscoped () {
+    return this.query().unscoped();
+  }
+
+  /**
+   * Get the hooks with the given name registered for the model class and its
+   * parent classes.
+   *
+   * @param {String} name The name of the hook.
+   * @returns {Array} The hook functions, those of parent classes first.
+   */
+  static getHooks (name) {
+    let hooks = [];
+    let Model = this;
+    while (Model && Model !== Function.prototype) {
+      if (_.has(Model, '_hooks')) {
+        hooks = (Model._hooks[name] || []).concat(hooks);
+      }
+      Model = Object.getPrototypeOf(Model);
+    }
+    return hooks;
+  }
+
+  /**
+   * Register a column type, to be used as e.g. `type: 'money'` in schemas.
+   * Types registered on Ormur are shared by all models, while types registered
+   * on a model class are only available to it and its subclasses and take
+   * precedence. Built-in types may be overridden the same way.
+   *
+   * @param {String} name The name of the type.
+   * @param {Object} type The type definition.
+   * @param {Function} type.validate Receives a value and the column rules and
+   *                                 returns true if the value is valid.
+   * @param {Function} [type.serialize] Converts a value to its database representation.
+   * @param {Function} [type.deserialize] Converts a value from its database representation.
+   * @param {String} [type.columnType] The database type of columns, for migrations.
+   * @returns {Function} The model class, for chaining.
+   */
+  static registerType (name, type) {
+    if (!type || !_.isFunction(type.validate)) {
+      throw new error.ConfigurationError(`Type ${name} must define a validate function.`);
+    }
+    _.each(['serialize', 'deserialize'], (method) => {
+      if (!_.isUndefined(type[method]) && !_.isFunction(type[method])) {
+        throw new error.ConfigurationError(
+          `The ${method} option of type ${name} must be a function.`);
+      }
+    });
+    if (!_.has(this, '_types')) {
+      this._types = {};
+    }
+    this._types[name] = type;
+    return this;
+  }
+
+  /**
+   * Look up a column type by name, first among the types registered for the
+   * model class and its parent classes and then among the built-in types.
+   *
+   * @param {String} name The name of the type.
+   * @returns {Object|undefined} The type definition, if found.
+   */
+  static getType (name) {
+    let Model = this;
+    while (Model && Model !== Function.prototype) {
+      if (_.has(Model, '_types') && _.has(Model._types, name)) {
+        return Model._types[name];
+      }
+      Model = Object.getPrototypeOf(Model);
+    }
+    return types.types[name];
+  }
+
+  /**
+   * Set the naming strategy translating column names, as used in the schema,
+   * to database column names: 'snakeCase' (the default, e.g. `createdAt` to
+   * `created_at`), 'camelCase' (names are kept as they are) or a function
+   * receiving a column name and returning the database column name. A strategy
+   * set on Ormur applies to all models, while a strategy set on a model class
+   * applies to it and its subclasses. Columns with a `columnName` in the schema
+   * are not translated.
+   *
+   * @param {String|Function} strategy The naming strategy.
+   * @returns {Function} The model class, for chaining.
+   */
+  static setNamingStrategy (strategy) {
+    if (!util.namingStrategy(strategy)) {
+      throw new error.ConfigurationError(
+        'The naming strategy must be snakeCase, camelCase or a function.');
+    }
+    this._namingStrategy = strategy;
+    return this;
+  }
+
+  /**
+   * Get the naming strategy of the model class, as set on it or its parent
+   * classes (see `setNamingStrategy`).
+   *
+   * @returns {String|Function} The naming strategy.
+   */
+  static getNamingStrategy () {
+    let Model = this;
+    while (Model && Model !== Function.prototype) {
+      if (_.has(Model, '_namingStrategy')) {
+        return Model._namingStrategy;
+      }
+      Model = Object.getPrototypeOf(Model);
+    }
+    return 'snakeCase';
+  }
+
+  /**
+   * Compare the schemas of models against the tables in the database,
+   * reporting missing tables and columns and columns whose type or
+   * nullability does not match the schema.
+   *
+   * @param {Array} [models] The model classes; the current one by default.
+   * @param {Object} [options] Options for the verification.
+   * @param {Boolean} [options.warn] Log the problems as warnings instead of rejecting.
+   * @param {Function} [options.log] Receives each warning; none are logged by default.
+   * @param {Object} [options.knex] The Knex instance to use; that of the models by default.
+   * @returns {Promise} Resolves to an array of messages describing the problems;
+   *                    rejects with a ConfigurationError if there are any,
+   *                    unless warning.
+   */
+  static verifySchema (models, options) {
+    options = options || {};
+    const log = options.log || _.noop;
+    return migrations.findSchemaProblems(models || [this], options.knex).then(problems => {
+      if (!_.isEmpty(problems) && !options.warn) {
+        throw new error.ConfigurationError(problems.join(' '));
+      }
+      _.each(problems, (problem) => log(problem));
+      return problems;
+    });
+  }
+
+  /**
+   * Get the result of the schema verification run when the model is first
+   * used, if enabled by `schemaVerification`.
+   *
+   * @returns {Promise} Resolves to the problems found (see `verifySchema`), or
+   *                    to an empty array if no verification has started;
+   *                    rejects if the database could not be read or, unless
+   *                    warning, with a ConfigurationError listing the problems.
+   */
+  static schemaVerified () {
+    return Promise.resolve(_.has(this, '_schemaVerification') ? this._schemaVerification : []);
+  }
+
+  /**
+   * Run a function in a transaction, which is committed if the promise
+   * returned by the function resolves and rolled back if it rejects. Pass the
+   * transaction to queries via the `transacting` option.
+   *
+   * @param {Function} container Receives the transaction and returns a promise.
+   * @param {Object} [options] Options for the transaction.
+   * @param {Object} [options.transacting] An outer transaction, in which case
+   *                                       a savepoint is used instead.
+   * @returns {Promise} Resolves to the value the promise from `container` resolved to.
+   */
+  static transaction (container, options) {
     const instance = new this({ _empty: true });
-    instance[instance._primaryKey] = primaryKeyValue;
-    return instance.destroy();
+    return instance._knex(options).transaction(container);
   }
 
 }
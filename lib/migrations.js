@@ -0,0 +1,554 @@
+'use strict';
+
+/**
+ * Generate Knex migrations from the schemas of Ormur models, either creating
+ * all tables or altering the tables in the database to match the schemas.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const error = require('./error');
+const types = require('./types');
+
+const writeFile = Promise.promisify(fs.writeFile);
+
+
+// The Knex column builder methods by column type.
+const COLUMN_METHODS = {
+  string: 'string',
+  integer: 'integer',
+  float: 'float',
+  decimal: 'decimal',
+  bigint: 'bigInteger',
+  boolean: 'boolean',
+  date: 'date',
+  timestamp: 'timestamp',
+  uuid: 'uuid',
+  json: 'jsonb',
+  enum: 'enu'
+};
+
+// The Postgres types of array elements by column type.
+const ELEMENT_TYPES = {
+  string: 'varchar(255)',
+  integer: 'integer',
+  float: 'real',
+  decimal: 'numeric',
+  bigint: 'bigint',
+  boolean: 'boolean',
+  date: 'date',
+  timestamp: 'timestamptz',
+  uuid: 'uuid',
+  json: 'jsonb'
+};
+
+// The data types reported by the database which match each column type.
+const DATABASE_TYPES = {
+  string: ['character varying', 'character', 'text'],
+  integer: ['integer', 'smallint'],
+  float: ['real', 'double precision'],
+  decimal: ['numeric'],
+  bigint: ['bigint'],
+  boolean: ['boolean'],
+  date: ['date', 'timestamp with time zone', 'timestamp without time zone'],
+  timestamp: ['timestamp with time zone', 'timestamp without time zone'],
+  uuid: ['uuid'],
+  json: ['json', 'jsonb'],
+  enum: ['text', 'character varying', 'USER-DEFINED'],
+  array: ['ARRAY']
+};
+
+
+/**
+ * Write a value as a JavaScript literal, preferring single quotes.
+ */
+function literal (value) {
+  if (_.isString(value)) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  }
+  if (_.isArray(value)) {
+    return `[${_.map(value, literal).join(', ')}]`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Get an instance of a model, as context for its schema, table and relations.
+ */
+function contextOf (Model) {
+  return new Model({ _empty: true });
+}
+
+/**
+ * Read the columns of a table, which may be qualified by a Postgres schema,
+ * e.g. `billing.invoices`.
+ */
+function columnInfo (knex, table) {
+  const parts = table.split('.');
+  const query = knex(_.last(parts));
+  return (parts.length > 1 ? query.withSchema(parts[0]) : query).columnInfo();
+}
+
+/**
+ * Quote a table name, which may be qualified by a Postgres schema, for raw SQL.
+ */
+function quoteTable (table) {
+  return _.map(table.split('.'), (part) => `"${part}"`).join('.');
+}
+
+/**
+ * Describe the database column of a schema column.
+ *
+ * @param {Function} Model The model class.
+ * @param {String} column The column name, as used in the schema.
+ * @param {Object} rules The rules of the column from the schema.
+ * @param {String} name The database column name.
+ * @returns {Object} The column name and type, the Knex method and its
+ *                   arguments, and whether the column is a primary key or nullable.
+ */
+function describeColumn (Model, column, rules, name) {
+  const description = {
+    name,
+    type: rules.type,
+    args: [name],
+    primaryKey: !!rules.primaryKey,
+    notNull: !!rules.notNull,
+    unique: !!rules.unique
+  };
+
+  if (rules.primaryKey && (rules.type === 'integer' || rules.type === 'bigint')) {
+    description.method = rules.type === 'integer' ? 'increments' : 'bigIncrements';
+    return description;
+  }
+
+  if (!_.isUndefined(rules.defaultValue) && !_.isFunction(rules.defaultValue)) {
+    description.defaultValue = types.serialize(rules.defaultValue, rules,
+                                               (type) => Model.getType(type));
+  }
+
+  const type = Model.getType(rules.type);
+  if (type && type.columnType) {
+    description.method = 'specificType';
+    description.args.push(type.columnType);
+  } else if (rules.type === 'array') {
+    const elementType = _.isString(rules.of) ? rules.of : (rules.of || {}).type;
+    description.method = 'specificType';
+    description.args.push(`${ELEMENT_TYPES[elementType] || 'text'}[]`);
+  } else if (COLUMN_METHODS[rules.type]) {
+    description.method = COLUMN_METHODS[rules.type];
+    if (rules.type === 'enum') {
+      description.args.push(rules.values);
+    } else if (rules.type === 'string' && rules.maxLength) {
+      description.args.push(rules.maxLength);
+    }
+  } else {
+    throw new error.ConfigurationError(
+      `Column ${column} of ${Model.name} has no known database type.`);
+  }
+  return description;
+}
+
+/**
+ * Describe the database columns of a model, including the foreign keys of
+ * its belongsTo relations.
+ *
+ * @param {Function} Model The model class.
+ * @returns {Array} The column descriptions (see `describeColumn`).
+ */
+function describeColumns (Model) {
+  const context = contextOf(Model);
+  const composite = context._primaryKey.length > 1;
+  const columns = _.map(context._storedSchema(), (rules, column) => {
+    // Composite primary keys are created for the table (see `renderColumns`).
+    if (composite && rules.primaryKey) {
+      rules = _.assign({}, rules, { primaryKey: false, notNull: true });
+    }
+    return describeColumn(Model, column, rules, context._columnName(column));
+  });
+
+  _.each(context._relations, (relation) => {
+    if (relation.type !== 'belongsTo') {
+      return;
+    }
+    const target = relation.target;
+    const name = context._columnName(relation.foreignKey);
+    let column = _.find(columns, { name });
+    if (!column) {
+      const targetRules = target.schema[relation.targetKey];
+      column = describeColumn(relation.Model, relation.foreignKey, {
+        type: targetRules.type,
+        of: targetRules.of
+      }, name);
+      columns.push(column);
+    }
+    column.references = {
+      table: target._tableName,
+      column: target._columnName(relation.targetKey)
+    };
+  });
+  return columns;
+}
+
+/**
+ * Describe the join tables of the manyToMany relations of a model.
+ *
+ * @param {Function} Model The model class.
+ * @returns {Array} Objects with the table name and its column descriptions.
+ */
+function describeJoinTables (Model) {
+  const context = contextOf(Model);
+  return _(context._relations).filter({ type: 'manyToMany' }).map((relation) => {
+    const target = relation.target;
+    const ownRules = context.schema[relation.sourceKey];
+    const targetRules = target.schema[relation.targetKey];
+    const foreignKey = describeColumn(Model, relation.foreignKey, { type: ownRules.type },
+                                      context._columnName(relation.foreignKey));
+    const otherKey = describeColumn(relation.Model, relation.otherKey, { type: targetRules.type },
+                                    context._columnName(relation.otherKey));
+    foreignKey.references = {
+      table: context._tableName,
+      column: context._columnName(relation.sourceKey)
+    };
+    otherKey.references = {
+      table: target._tableName,
+      column: target._columnName(relation.targetKey)
+    };
+    return { table: relation.through, columns: [foreignKey, otherKey] };
+  }).value();
+}
+
+/**
+ * Describe all tables of the models, ordering tables after the tables they
+ * reference where possible.
+ *
+ * @param {Array} models The model classes.
+ * @returns {Array} Objects with the table name, its column descriptions and
+ *                  the database column names of its composite primary key, if any.
+ */
+function describeTables (models) {
+  const tables = _.map(models, (Model) => {
+    const context = contextOf(Model);
+    const primaryKey = context._primaryKey.length > 1 ?
+      _.map(context._primaryKey, (column) => context._columnName(column)) :
+      null;
+    return { Model, table: context._tableName, columns: describeColumns(Model), primaryKey };
+  });
+  const joinTables = _(models).flatMap((Model) => {
+    return _.map(describeJoinTables(Model), (table) => _.assign({ Model }, table));
+  }).uniqBy('table').value();
+  const all = _.uniqBy(tables.concat(joinTables), 'table');
+
+  const ordered = [];
+  const visit = (table, visiting) => {
+    if (_.includes(ordered, table) || _.includes(visiting, table)) {
+      return;
+    }
+    _(table.columns).map('references.table').compact().each((name) => {
+      const referenced = _.find(all, { table: name });
+      if (referenced) {
+        visit(referenced, visiting.concat(table));
+      }
+    });
+    ordered.push(table);
+  };
+  _.each(all, (table) => visit(table, []));
+  return ordered;
+}
+
+/**
+ * Write the Knex statement creating a column, e.g.
+ * `table.string('name').notNullable()`.
+ */
+function renderColumn (column) {
+  let statement = `table.${column.method}(${_.map(column.args, literal).join(', ')})`;
+  if (column.primaryKey && !_.includes(['increments', 'bigIncrements'], column.method)) {
+    statement += '.primary()';
+  }
+  if (column.notNull) {
+    statement += '.notNullable()';
+  }
+  if (column.unique && !column.primaryKey) {
+    statement += '.unique()';
+  }
+  if (!_.isUndefined(column.defaultValue)) {
+    statement += `.defaultTo(${literal(column.defaultValue)})`;
+  }
+  if (column.references) {
+    statement += `.references(${literal(column.references.column)})` +
+                 `.inTable(${literal(column.references.table)})`;
+  }
+  return `${statement};`;
+}
+
+/**
+ * Write the Knex statements creating the columns of a table, followed by its
+ * composite primary key, if any.
+ */
+function renderColumns (table) {
+  const statements = _.map(table.columns, renderColumn);
+  if (table.primaryKey) {
+    statements.push(`table.primary(${literal(table.primaryKey)});`);
+  }
+  return statements;
+}
+
+/**
+ * Get the Postgres type of a described column, e.g. `varchar(255)`, or null if
+ * it is not known.
+ */
+function databaseType (column) {
+  if (column.method === 'specificType') {
+    return column.args[1];
+  }
+  if (column.type === 'string' && column.args[1]) {
+    return `varchar(${column.args[1]})`;
+  }
+  return ELEMENT_TYPES[column.type] || null;
+}
+
+/**
+ * Write a schema builder call, e.g. `.createTable('users', (table) => {...})`.
+ */
+function renderTableCall (method, table, statements) {
+  if (_.isEmpty(statements)) {
+    return `    .${method}(${literal(table)})`;
+  }
+  return [`    .${method}(${literal(table)}, (table) => {`]
+    .concat(_.map(statements, (statement) => `      ${statement}`))
+    .concat('    })')
+    .join('\n');
+}
+
+/**
+ * Write a schema builder call running raw SQL.
+ */
+function renderRawCall (sql) {
+  return `    .raw(${literal(sql)})`;
+}
+
+/**
+ * Write a migration file from the schema builder calls of its up and down
+ * functions.
+ */
+function renderMigration (up, down) {
+  const renderFunction = (name, calls) => {
+    if (_.isEmpty(calls)) {
+      return `exports.${name} = (knex, Promise) => {\n  return Promise.resolve();\n};\n`;
+    }
+    const body = ['  return knex.schema'].concat(calls).join('\n');
+    return `exports.${name} = (knex) => {\n${body};\n};\n`;
+  };
+  return `'use strict';\n\n${renderFunction('up', up)}\n${renderFunction('down', down)}`;
+}
+
+/**
+ * Generate a migration creating the tables of the models, along with the
+ * join tables of their manyToMany relations.
+ *
+ * @param {Array} models The model classes.
+ * @returns {String} The source of the migration file.
+ */
+function createMigration (models) {
+  const tables = describeTables(models);
+  const up = _.map(tables, (table) => {
+    return renderTableCall('createTable', table.table, renderColumns(table));
+  });
+  const down = _.map(tables.reverse(), (table) => renderTableCall('dropTable', table.table));
+  return renderMigration(up, down);
+}
+
+/**
+ * Generate a migration altering the tables in the database to match the
+ * schemas of the models: missing tables are created, missing columns added
+ * and types and nullability changed. Columns not in the schemas are only
+ * dropped with the `drop` option, as their data is lost; otherwise they are
+ * listed as comments in the migration, as are type changes which cannot be
+ * written as SQL.
+ *
+ * @param {Array} models The model classes.
+ * @param {Object} [knex] The Knex instance to read the columns with; that of
+ *                        the models by default.
+ * @param {Object} [options] Options for the migration.
+ * @param {Boolean} [options.drop=false] Drop the columns not in the schemas.
+ * @returns {Promise} Resolves to the source of the migration file, or null if
+ *                    the database already matches the schemas.
+ */
+function diffMigration (models, knex, options) {
+  const drop = Boolean(options && options.drop);
+  const up = [];
+  const down = [];
+
+  return Promise.each(describeTables(models), (table) => {
+    const connection = knex || contextOf(table.Model).knex;
+    return columnInfo(connection, table.table).then(info => {
+      if (_.isEmpty(info)) {
+        up.push(renderTableCall('createTable', table.table, renderColumns(table)));
+        down.unshift(renderTableCall('dropTable', table.table));
+        return;
+      }
+
+      const upStatements = [];
+      const downStatements = [];
+      const upRaw = [];
+      const downRaw = [];
+      _.each(table.columns, (column) => {
+        const existing = info[column.name];
+        if (!existing) {
+          upStatements.push(renderColumn(column));
+          downStatements.push(`table.dropColumn(${literal(column.name)});`);
+          return;
+        }
+
+        const expected = DATABASE_TYPES[column.type];
+        if (expected && !_.includes(expected, existing.type)) {
+          const type = databaseType(column);
+          // Types reported as USER-DEFINED or ARRAY cannot be restored by name.
+          if (!type || _.includes(['USER-DEFINED', 'ARRAY'], existing.type)) {
+            upStatements.push(`// Column ${literal(column.name)} is of type ${existing.type} in ` +
+                              `the database but ${column.type} in the schema; alter it by hand.`);
+          } else {
+            const previous = existing.maxLength ?
+              `${existing.type}(${existing.maxLength})` :
+              existing.type;
+            const alter = (to) => renderRawCall(
+              `alter table ${quoteTable(table.table)} alter column "${column.name}" ` +
+              `type ${to} using "${column.name}"::${to}`);
+            upRaw.push(alter(type));
+            downRaw.push(alter(previous));
+          }
+        }
+
+        if (existing.nullable === column.notNull && !column.primaryKey) {
+          const alter = (notNull) => renderRawCall(
+            `alter table ${quoteTable(table.table)} alter column "${column.name}" ` +
+            `${notNull ? 'set' : 'drop'} not null`);
+          upRaw.push(alter(column.notNull));
+          downRaw.push(alter(!column.notNull));
+        }
+      });
+      _.each(info, (existing, name) => {
+        if (_.find(table.columns, { name })) {
+          return;
+        }
+        if (!drop) {
+          upStatements.push(`// Column ${literal(name)} is not in the schema; ` +
+                            'drop it with the drop option (--drop).');
+          return;
+        }
+        // The column is restored with its type and nullability, but not its data.
+        const type = existing.maxLength ? `${existing.type}(${existing.maxLength})` : existing.type;
+        upStatements.push(`table.dropColumn(${literal(name)});`);
+        downStatements.push(renderColumn({
+          name,
+          method: 'specificType',
+          args: [name, type],
+          notNull: !existing.nullable
+        }));
+      });
+
+      if (!_.isEmpty(upStatements)) {
+        up.push(renderTableCall('table', table.table, upStatements));
+      }
+      if (!_.isEmpty(downStatements)) {
+        down.unshift(renderTableCall('table', table.table, downStatements));
+      }
+      up.push.apply(up, upRaw);
+      down.unshift.apply(down, downRaw);
+    });
+  }).then(() => _.isEmpty(up) ? null : renderMigration(up, down));
+}
+
+/**
+ * Write a migration file named like those of the Knex command-line tool, e.g.
+ * `20160401120000_create_users.js`.
+ *
+ * @param {String} directory The directory of the migrations.
+ * @param {String} name The name of the migration.
+ * @param {String} source The source of the migration file.
+ * @returns {Promise} Resolves to the path of the written file.
+ */
+function writeMigration (directory, name, source) {
+  const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+  const file = path.join(directory, `${timestamp}_${_.snakeCase(name)}.js`);
+  return writeFile(file, source).then(() => file);
+}
+
+/**
+ * Load the model classes exported by the JavaScript files of a directory,
+ * skipping classes without a schema such as base models.
+ *
+ * @param {String} directory The directory of the models.
+ * @returns {Array} The model classes.
+ */
+function loadModels (directory) {
+  // Required here as the main module requires this one.
+  const Ormur = require('./index');
+  return _(fs.readdirSync(directory))
+    .filter((file) => path.extname(file) === '.js')
+    .sort()
+    .flatMap((file) => {
+      const exported = require(path.resolve(directory, file));
+      return _.isFunction(exported) ? [exported] : _.values(exported);
+    })
+    .filter((Model) => _.isFunction(Model) && Model.prototype instanceof Ormur)
+    .filter((Model) => !_.isEmpty(Model.prototype.schema))
+    .uniq()
+    .value();
+}
+
+
+/**
+ * Compare the schemas of models against the tables in the database, finding
+ * missing tables and columns and columns whose type or nullability does not
+ * match the schema.
+ *
+ * @param {Array} models The model classes.
+ * @param {Object} [knex] The Knex instance to read the columns with; that of
+ *                        the models by default.
+ * @returns {Promise} Resolves to an array of messages describing the problems.
+ */
+function findSchemaProblems (models, knex) {
+  return Promise.mapSeries(models, (Model) => {
+    const context = contextOf(Model);
+    const table = context._tableName;
+    return columnInfo(knex || context.knex, table).then(info => {
+      if (_.isEmpty(info)) {
+        return [`Table ${table} of ${Model.name} does not exist.`];
+      }
+      return _.compact(_.flatMap(context._storedSchema(), (rules, column) => {
+        const name = context._columnName(column);
+        const existing = info[name];
+        if (!existing) {
+          return [`Column ${table}.${name} of ${Model.name} does not exist.`];
+        }
+        const problems = [];
+        const expected = DATABASE_TYPES[rules.type];
+        if (expected && !_.includes(expected, existing.type)) {
+          problems.push(`Column ${table}.${name} of ${Model.name} is of type ${existing.type} ` +
+                        `in the database but ${rules.type} in the schema.`);
+        }
+        if (rules.notNull && existing.nullable) {
+          problems.push(`Column ${table}.${name} of ${Model.name} is nullable in the database ` +
+                        'but notNull in the schema.');
+        }
+        const hasDefault = !_.isNil(existing.defaultValue) || !_.isUndefined(rules.defaultValue);
+        if (!rules.notNull && !rules.primaryKey && !existing.nullable && !hasDefault) {
+          problems.push(`Column ${table}.${name} of ${Model.name} is not nullable in the ` +
+                        'database but may be null in the schema.');
+        }
+        return problems;
+      }));
+    });
+  }).then(_.flatten);
+}
+
+
+exports.describeColumns = describeColumns;
+exports.createMigration = createMigration;
+exports.diffMigration = diffMigration;
+exports.writeMigration = writeMigration;
+exports.loadModels = loadModels;
+exports.findSchemaProblems = findSchemaProblems;
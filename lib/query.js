@@ -0,0 +1,757 @@
+'use strict';
+
+/**
+ * A lazy, chainable query interface for Ormur models.
+ */
+
+const stream = require('stream');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const error = require('./error');
+const relations = require('./relations');
+const columnTypes = require('./types');
+
+
+const DEFAULT_PER_PAGE = 20;
+
+/**
+ * Encode the values of the order columns of a row as an opaque cursor.
+ */
+function encodeCursor (values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64');
+}
+
+/**
+ * Decode the values of the order columns from a cursor, or return null if the
+ * cursor is invalid.
+ */
+function decodeCursor (cursor, length) {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+    return _.isArray(values) && values.length === length ? values : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Filter a query by rows ordered after the given values of the order columns,
+ * e.g. `(a > ?) or (a = ? and id > ?)` for the columns `a` and `id`.
+ */
+function whereAfter (query, order, values) {
+  return query.where(group => _.each(order, (item, index) => {
+    group.orWhere(clause => {
+      _.each(_.take(order, index), (previous, previousIndex) => {
+        clause.where(previous.column, values[previousIndex]);
+      });
+      clause.where(item.column, item.direction === 'desc' ? '<' : '>', values[index]);
+    });
+  }));
+}
+
+
+class Query {
+
+  /**
+   * Create a query against the table of the given model class. Nothing is
+   * sent to the database until the query is resolved, either by calling one
+   * of the terminal methods or by treating the query as a promise.
+   *
+   * @param {Function} Model The Ormur model class to query.
+   */
+  constructor (Model) {
+    this.Model = Model;
+    this._context = new Model({ _empty: true });
+    this._operations = [];
+    this._withRelated = [];
+    this._transacting = null;
+    this._deleted = 'exclude';
+    this._scoped = true;
+    this._groupBy = null;
+
+    // Add a chainable method for each named scope of the model.
+    const query = this;
+    _.each(Model.getScopes(), (scope, name) => {
+      if (name !== 'default') {
+        this[name] = function scoped () {
+          return query._applyScope(scope, _.toArray(arguments));
+        };
+      }
+    });
+  }
+
+  /**
+   * Apply a scope to the query, passing it any arguments.
+   */
+  _applyScope (scope, args) {
+    scope.apply(this.Model, [this].concat(args));
+    return this;
+  }
+
+  /**
+   * Translate a column name, as used in the schema, to its database column
+   * name. Table qualifiers (e.g. `users.createdAt`) are kept as is.
+   */
+  _column (column) {
+    if (!_.isString(column)) {
+      return column;
+    }
+    const parts = column.split('.');
+    const last = parts.length - 1;
+    if (parts[last] !== '*') {
+      parts[last] = this._context._columnName(parts[last]);
+    }
+    return parts.join('.');
+  }
+
+  /**
+   * Record an operation to be applied to the Knex query builder once the
+   * query is built.
+   */
+  _push (type, apply) {
+    this._operations.push({ type, apply });
+    return this;
+  }
+
+  /**
+   * Record a where clause of any kind, mapping column names in the arguments.
+   * A function as the first argument creates a grouped (parenthesized) clause
+   * and receives a new query on which to build the group.
+   */
+  _where (method, args) {
+    const first = args[0];
+
+    if (_.isFunction(first)) {
+      const Model = this.Model;
+      return this._push('where', builder => builder[method](function group () {
+        const query = new Query(Model);
+        first.call(query, query);
+        query._applyTo(this, ['where']);
+      }));
+    }
+
+    let mapped;
+    if (_.isPlainObject(first)) {
+      mapped = [_.mapKeys(first, (value, key) => this._column(key))];
+    } else {
+      mapped = [this._column(first)].concat(_.tail(args));
+    }
+    return this._push('where', builder => builder[method].apply(builder, mapped));
+  }
+
+  /**
+   * Apply the recorded operations to a Knex query builder.
+   *
+   * @param {Object} builder The Knex query builder.
+   * @param {Array} [types] Only apply operations of these types.
+   * @returns {Object} The Knex query builder.
+   */
+  _applyTo (builder, types) {
+    _.each(this._operations, (operation) => {
+      if (!types || _.includes(types, operation.type)) {
+        operation.apply(builder);
+      }
+    });
+    return builder;
+  }
+
+  /**
+   * Create a copy of the query with its where clauses collapsed into a single
+   * grouped clause, so that conditions added afterwards apply to all of them
+   * rather than only to the last `orWhere`.
+   */
+  _grouped () {
+    const query = this.clone();
+    const wheres = _.filter(this._operations, { type: 'where' });
+    if (wheres.length > 1) {
+      query._operations = _.reject(this._operations, { type: 'where' });
+      query._push('where', builder => builder.where(function group () {
+        _.each(wheres, (operation) => operation.apply(this));
+      }));
+    }
+    return query;
+  }
+
+  /**
+   * Build a Knex query builder from the recorded operations.
+   *
+   * @param {Array} [types] Only apply operations of these types.
+   * @returns {Object} The Knex query builder.
+   */
+  toKnex (types) {
+    const knex = this._transacting || this._context.knex;
+    const defaultScope = this._scoped && this.Model.getScopes().default;
+    const deletedAt = this._deleted !== 'include' && this._context._softDeleteColumn();
+
+    // Group the where clauses if further conditions are ANDed against them.
+    const query = defaultScope || deletedAt ? this._grouped() : this;
+    const builder = query._applyTo(knex(this._context._tableName), types);
+
+    // Apply the default scope of the model, unless unscoped.
+    if (defaultScope) {
+      const scoped = new Query(this.Model);
+      scoped._applyScope(defaultScope, [])._grouped()._applyTo(builder, types);
+    }
+
+    // Leave out soft-deleted rows, unless asked otherwise.
+    if (deletedAt && this._deleted === 'exclude') {
+      builder.whereNull(this._column(deletedAt));
+    } else if (deletedAt && this._deleted === 'only') {
+      builder.whereNotNull(this._column(deletedAt));
+    }
+    return builder;
+  }
+
+  /**
+   * Create a copy of the query which can be modified independently.
+   *
+   * @returns {Query} The new query.
+   */
+  clone () {
+    const query = new Query(this.Model);
+    query._operations = this._operations.slice();
+    query._withRelated = this._withRelated.slice();
+    query._transacting = this._transacting;
+    query._deleted = this._deleted;
+    query._scoped = this._scoped;
+    query._groupBy = this._groupBy;
+    return query;
+  }
+
+  /**
+   * Filter by attributes, a column and value, a column, operator and value,
+   * or a function building a grouped clause.
+   *
+   * @returns {Query} The query, for chaining.
+   */
+  where () {
+    return this._where('where', _.toArray(arguments));
+  }
+
+  /**
+   * Like `where`, but joined with the previous clause using OR.
+   *
+   * @returns {Query} The query, for chaining.
+   */
+  orWhere () {
+    return this._where('orWhere', _.toArray(arguments));
+  }
+
+  /**
+   * Like `where`, but negated.
+   *
+   * @returns {Query} The query, for chaining.
+   */
+  whereNot () {
+    return this._where('whereNot', _.toArray(arguments));
+  }
+
+  /**
+   * Filter rows where the column value is in the given array.
+   *
+   * @param {String} column The column name.
+   * @param {Array} values The allowed values.
+   * @returns {Query} The query, for chaining.
+   */
+  whereIn (column, values) {
+    return this._where('whereIn', [column, values]);
+  }
+
+  /**
+   * Like `whereIn`, but joined with the previous clause using OR.
+   *
+   * @param {String} column The column name.
+   * @param {Array} values The allowed values.
+   * @returns {Query} The query, for chaining.
+   */
+  orWhereIn (column, values) {
+    return this._where('orWhereIn', [column, values]);
+  }
+
+  /**
+   * Filter rows where the column value is not in the given array.
+   *
+   * @param {String} column The column name.
+   * @param {Array} values The disallowed values.
+   * @returns {Query} The query, for chaining.
+   */
+  whereNotIn (column, values) {
+    return this._where('whereNotIn', [column, values]);
+  }
+
+  /**
+   * Filter rows where the column value is null.
+   *
+   * @param {String} column The column name.
+   * @returns {Query} The query, for chaining.
+   */
+  whereNull (column) {
+    return this._where('whereNull', [column]);
+  }
+
+  /**
+   * Like `whereNull`, but joined with the previous clause using OR.
+   *
+   * @param {String} column The column name.
+   * @returns {Query} The query, for chaining.
+   */
+  orWhereNull (column) {
+    return this._where('orWhereNull', [column]);
+  }
+
+  /**
+   * Filter rows where the column value is not null.
+   *
+   * @param {String} column The column name.
+   * @returns {Query} The query, for chaining.
+   */
+  whereNotNull (column) {
+    return this._where('whereNotNull', [column]);
+  }
+
+  /**
+   * Order the results by a column.
+   *
+   * @param {String} column The column name.
+   * @param {String} [direction="asc"] Either "asc" or "desc".
+   * @returns {Query} The query, for chaining.
+   */
+  orderBy (column, direction) {
+    const mapped = this._column(column);
+    return this._push('order', builder => builder.orderBy(mapped, direction || 'asc'));
+  }
+
+  /**
+   * Limit the number of results.
+   *
+   * @param {Integer} limit The maximum number of rows.
+   * @returns {Query} The query, for chaining.
+   */
+  limit (limit) {
+    return this._push('limit', builder => builder.limit(limit));
+  }
+
+  /**
+   * Skip a number of results.
+   *
+   * @param {Integer} offset The number of rows to skip.
+   * @returns {Query} The query, for chaining.
+   */
+  offset (offset) {
+    return this._push('offset', builder => builder.offset(offset));
+  }
+
+  /**
+   * Group the results by columns. Grouped queries resolve to plain objects
+   * keyed by column name instead of model instances: the values of the
+   * columns, or of the columns and an aggregate, e.g. `{ isCool: true, count: 3 }`
+   * for `groupBy('isCool').count()`.
+   *
+   * @param {...String|Array} columns The column names.
+   * @returns {Query} The query, for chaining.
+   */
+  groupBy () {
+    this._groupBy = (this._groupBy || []).concat(_.flatten(arguments));
+    return this;
+  }
+
+  /**
+   * Load relations along with the results, e.g. `withRelated('posts',
+   * 'posts.comments')`. Each relation is loaded with a single query for all
+   * results and can be read with `Ormur#getRelated`.
+   *
+   * @param {...String|Array} paths The relation names, dot-separated for nested relations.
+   * @returns {Query} The query, for chaining.
+   */
+  withRelated () {
+    this._withRelated = this._withRelated.concat(_.flatten(arguments));
+    return this;
+  }
+
+  /**
+   * Leave out the default scope of the model.
+   *
+   * @returns {Query} The query, for chaining.
+   */
+  unscoped () {
+    this._scoped = false;
+    return this;
+  }
+
+  /**
+   * Include soft-deleted rows in the results, which are otherwise left out.
+   *
+   * @returns {Query} The query, for chaining.
+   */
+  withDeleted () {
+    this._deleted = 'include';
+    return this;
+  }
+
+  /**
+   * Only include soft-deleted rows in the results.
+   *
+   * @returns {Query} The query, for chaining.
+   */
+  onlyDeleted () {
+    this._deleted = 'only';
+    return this;
+  }
+
+  /**
+   * Run the query, along with any relations loaded with it, in a transaction.
+   *
+   * @param {Object} trx A Knex transaction, as passed by `Ormur.transaction`.
+   * @returns {Query} The query, for chaining.
+   */
+  transacting (trx) {
+    this._transacting = trx || null;
+    return this;
+  }
+
+  /**
+   * Run the query. The afterFetch hooks are run for each instance once any
+   * relations have been loaded.
+   *
+   * @returns {Promise} Resolves to an array of Ormur model instances.
+   */
+  all () {
+    if (this._groupBy) {
+      const columns = _.map(this._groupBy, (column) => this._column(column));
+      return this.toKnex().select(columns).groupBy(columns)
+        .then(rows => _.map(rows, (row) => this._fromRow(row)));
+    }
+
+    return this.toKnex().then(rows => this._instances(rows));
+  }
+
+  /**
+   * Create model instances from rows, loading any relations and then running
+   * the afterFetch hooks.
+   */
+  _instances (rows) {
+    const options = { transacting: this._transacting };
+    const instances = _.map(rows, (row) => this.Model._fromDatabase(row));
+    return relations.eagerLoad(this._context, instances, this._withRelated, this._transacting)
+      .then(() => Promise.each(instances, (instance) => {
+        return instance.runHooks('afterFetch', options);
+      }));
+  }
+
+  /**
+   * Run the query a page at a time, in one of two modes. With `page` and
+   * `perPage`, pages are numbered and the total number of rows is counted.
+   * With `limit` (and `after`, for pages after the first), pages follow the
+   * opaque cursor of the last row of the previous page, which is both faster
+   * for large tables and stable while rows are added.
+   *
+   * @param {Object} [options] Options for the pagination.
+   * @param {Integer} [options.page=1] The page number, starting from 1.
+   * @param {Integer} [options.perPage=20] The number of rows per page.
+   * @param {Integer} [options.limit] The number of rows per page, with cursors.
+   * @param {String} [options.after] The cursor of the last row of the previous page.
+   * @param {String|Array} [options.orderBy] The columns to order by with cursors,
+   *                                         as names or `{ column, direction }`
+   *                                         objects. The primary key columns
+   *                                         are always added last.
+   * @returns {Promise} Resolves to `{ results, total, page, pageCount }` for
+   *                    numbered pages, or `{ results, cursor, hasMore }` with
+   *                    cursors; rejects with a ValidationError for invalid cursors.
+   */
+  paginate (options) {
+    options = options || {};
+    if (!_.isUndefined(options.after) || !_.isUndefined(options.limit)) {
+      return this._paginateByCursor(options);
+    }
+
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const perPage = Math.max(parseInt(options.perPage, 10) || DEFAULT_PER_PAGE, 1);
+    return Promise.all([
+      this.clone().offset((page - 1) * perPage).limit(perPage).all(),
+      this.count()
+    ]).then(results => {
+      const total = results[1];
+      return { results: results[0], total, page, pageCount: Math.ceil(total / perPage) };
+    });
+  }
+
+  /**
+   * Paginate by cursor (see `paginate`), filtering by rows ordered after the
+   * cursor.
+   */
+  _paginateByCursor (options) {
+    const limit = Math.max(parseInt(options.limit, 10) || DEFAULT_PER_PAGE, 1);
+    const order = _.map(_.castArray(options.orderBy || []), (item) => {
+      return _.isString(item) ? { column: item, direction: 'asc' } : item;
+    });
+    _.each(this._context._primaryKey, (column) => {
+      if (!_.find(order, { column })) {
+        order.push({ column, direction: 'asc' });
+      }
+    });
+
+    // Group the where clauses, so that the cursor applies to all of them.
+    const query = this._grouped();
+    if (!_.isUndefined(options.after)) {
+      const values = decodeCursor(options.after, order.length);
+      if (!values) {
+        const failure = {
+          rule: 'cursor',
+          message: 'after must be a valid cursor',
+          value: options.after
+        };
+        return Promise.reject(new error.ValidationError(failure.message, { after: [failure] }));
+      }
+      whereAfter(query, order, values);
+    }
+    _.each(order, (item) => query.orderBy(item.column, item.direction));
+
+    // Read the values of the order columns for the cursor as text, exactly as
+    // stored, as converting them may lose precision (e.g. the microseconds of
+    // timestamps).
+    const knex = this._context.knex;
+    const cursorColumns = _.map(order, (item, index) => {
+      return knex.raw('??::text as ??', [this._column(item.column), `_cursor${index}`]);
+    });
+
+    // Fetch a row more than needed, to know whether there are more pages.
+    const builder = query.limit(limit + 1).toKnex().select(['*'].concat(cursorColumns));
+    return builder.then(rows => {
+      const page = _.take(rows, limit);
+      const last = _.last(page);
+      return query._instances(page).then(results => ({
+        results,
+        cursor: last ? encodeCursor(_.map(order, (item, index) => last[`_cursor${index}`])) : null,
+        hasMore: rows.length > limit
+      }));
+    });
+  }
+
+  /**
+   * Run the query as a readable object stream of model instances, reading
+   * rows from the database as they are consumed. The afterFetch hooks are run
+   * for each instance; relations cannot be loaded along with streams. With
+   * Postgres, streaming requires the pg-query-stream package.
+   *
+   * @param {Object} [options] Options for the Knex stream, e.g. `highWaterMark`.
+   * @returns {stream.Readable} The stream of Ormur model instances.
+   */
+  stream (options) {
+    const hookOptions = { transacting: this._transacting };
+    const instances = new stream.Transform({
+      objectMode: true,
+      transform: (row, encoding, callback) => {
+        const instance = this.Model._fromDatabase(row);
+        instance.runHooks('afterFetch', hookOptions).then(() => callback(null, instance), callback);
+      }
+    });
+
+    if (!_.isEmpty(this._withRelated)) {
+      process.nextTick(() => instances.emit('error', new error.ConfigurationError(
+        'Relations cannot be loaded along with streams; use findInBatches instead.')));
+      return instances;
+    }
+
+    const rows = this.toKnex().stream(options);
+    rows.on('error', (err) => instances.emit('error', err));
+    return rows.pipe(instances);
+  }
+
+  /**
+   * Run the query in batches ordered by primary key, passing each batch to a
+   * function and waiting for the promise it returns before fetching the next
+   * batch. Any ordering, limit and offset of the query are ignored.
+   *
+   * @param {Object} [options] Options for the batches.
+   * @param {Integer} [options.batchSize=1000] The number of rows per batch.
+   * @param {Function} callback Receives an array of Ormur model instances and
+   *                            may return a promise.
+   * @returns {Promise} Resolves to the number of rows processed.
+   */
+  findInBatches (options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    const batchSize = Math.max(parseInt(options && options.batchSize, 10) || 1000, 1);
+    const order = _.map(this._context._primaryKey, (column) => ({ column, direction: 'asc' }));
+    // Group the where clauses, so that the primary key condition applies to all of them.
+    const base = this._grouped();
+    base._operations = _.filter(base._operations, { type: 'where' });
+
+    const next = (after, processed) => {
+      const query = base.clone().limit(batchSize);
+      _.each(order, (item) => query.orderBy(item.column, item.direction));
+      if (after) {
+        whereAfter(query, order, after);
+      }
+      return query.all().then(batch => {
+        if (_.isEmpty(batch)) {
+          return processed;
+        }
+        return Promise.resolve(callback(batch)).then(() => {
+          const total = processed + batch.length;
+          if (batch.length < batchSize) {
+            return total;
+          }
+          const last = _.last(batch);
+          return next(_.map(order, (item) => last[item.column]), total);
+        });
+      });
+    };
+    return next(null, 0);
+  }
+
+  /**
+   * Run the query, limited to a single row.
+   *
+   * @returns {Promise} Resolves to an Ormur model instance or null.
+   */
+  first () {
+    return this.clone().limit(1).all().then(results => results[0] || null);
+  }
+
+  /**
+   * Count the rows matching the query, ignoring ordering, limit and offset.
+   *
+   * @returns {Promise} Resolves to the number of matching rows, or to objects
+   *                    with a `count` per group if grouped.
+   */
+  count () {
+    return this._aggregate('count', '*', (value) => parseInt(value, 10));
+  }
+
+  /**
+   * Sum the values of a column in the rows matching the query.
+   *
+   * @param {String} column The column name.
+   * @returns {Promise} Resolves to the sum (null if no rows match), or to
+   *                    objects with a `sum` per group if grouped.
+   */
+  sum (column) {
+    return this._aggregate('sum', column, Number);
+  }
+
+  /**
+   * Average the values of a column in the rows matching the query.
+   *
+   * @param {String} column The column name.
+   * @returns {Promise} Resolves to the average (null if no rows match), or to
+   *                    objects with an `avg` per group if grouped.
+   */
+  avg (column) {
+    return this._aggregate('avg', column, Number);
+  }
+
+  /**
+   * Find the smallest value of a column in the rows matching the query.
+   *
+   * @param {String} column The column name.
+   * @returns {Promise} Resolves to the value (null if no rows match), or to
+   *                    objects with a `min` per group if grouped.
+   */
+  min (column) {
+    return this._aggregate('min', column, this._deserializer(column));
+  }
+
+  /**
+   * Find the largest value of a column in the rows matching the query.
+   *
+   * @param {String} column The column name.
+   * @returns {Promise} Resolves to the value (null if no rows match), or to
+   *                    objects with a `max` per group if grouped.
+   */
+  max (column) {
+    return this._aggregate('max', column, this._deserializer(column));
+  }
+
+  /**
+   * Run an aggregate function over a column, ignoring ordering, limit and
+   * offset unless grouped, and convert the resulting values.
+   */
+  _aggregate (fn, column, convert) {
+    const expression = `${column === '*' ? column : this._column(column)} as ${fn}`;
+    const toValue = (value) => _.isNull(value) ? null : convert(value);
+
+    if (this._groupBy) {
+      const columns = _.map(this._groupBy, (group) => this._column(group));
+      return this.toKnex()[fn](expression).select(columns).groupBy(columns).then(rows => {
+        return _.map(rows, (row) => {
+          return _.assign(this._fromRow(_.omit(row, fn)), { [fn]: toValue(row[fn]) });
+        });
+      });
+    }
+    return this.toKnex(['where'])[fn](expression).then(rows => toValue(rows[0][fn]));
+  }
+
+  /**
+   * Translate the database column names of a row to the column names used in
+   * the schema.
+   */
+  _fromRow (row) {
+    return _.mapKeys(row, (value, name) => this._context._propertyName(name));
+  }
+
+  /**
+   * Get a function converting values of a column from their database
+   * representation, according to the schema.
+   */
+  _deserializer (column) {
+    const rules = this._context.schema[_.last(column.split('.'))] || {};
+    return (value) => columnTypes.deserialize(value, rules, (name) => this.Model.getType(name));
+  }
+
+  /**
+   * Check whether any row matches the query.
+   *
+   * @returns {Promise} Resolves to true if a row matches; otherwise false.
+   */
+  exists () {
+    return this.toKnex(['where'])
+      .select(this._context.knex.raw('1'))
+      .limit(1)
+      .then(results => !_.isEmpty(results));
+  }
+
+  /**
+   * Fetch the values of a single column from the matching rows.
+   *
+   * @param {String} column The column name.
+   * @returns {Promise} Resolves to an array of values.
+   */
+  pluck (column) {
+    return this.toKnex().pluck(this._column(column));
+  }
+
+  /**
+   * Get the SQL for the query, mostly useful for debugging.
+   *
+   * @returns {String} The SQL query.
+   */
+  toString () {
+    return this.toKnex().toString();
+  }
+
+  /**
+   * Run the query, allowing it to be treated as a promise.
+   *
+   * @returns {Promise} Resolves to an array of Ormur model instances.
+   */
+  then (onFulfilled, onRejected) {
+    return this.all().then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Run the query, handling any errors.
+   *
+   * @returns {Promise} Resolves to an array of Ormur model instances.
+   */
+  catch (onRejected) {
+    return this.all().catch(onRejected);
+  }
+
+}
+
+
+module.exports = Query;
@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * Relations (associations) between Ormur models.
+ */
+
+const _ = require('lodash');
+const Promise = require('bluebird');
+const inflection = require('inflection');
+
+const error = require('./error');
+
+
+const TYPES = ['belongsTo', 'hasOne', 'hasMany', 'manyToMany'];
+
+/**
+ * Infer the camelCased foreign key column name for a model or relation name,
+ * e.g. `BlogPost` becomes `blogPostId`.
+ *
+ * @param {String} name The model or relation name.
+ * @returns {String} The foreign key column name.
+ */
+function foreignKeyFor (name) {
+  return _.camelCase(inflection.foreign_key(inflection.underscore(name)));
+}
+
+
+class Relation {
+
+  /**
+   * Normalize a relation definition, such as:
+   *
+   *     author: { type: 'belongsTo', model: User }
+   *
+   * The model may also be a function returning the model class, which allows
+   * for circular references between models.
+   *
+   * @param {Ormur} owner An instance of the model declaring the relation.
+   * @param {String} name The name of the relation.
+   * @param {Object} definition The relation definition.
+   */
+  constructor (owner, name, definition) {
+    if (!_.includes(TYPES, definition.type)) {
+      throw new error.ConfigurationError(
+        `Relation ${name} must be of one of the types ${TYPES.join(', ')}.`);
+    }
+    if (!_.isFunction(definition.model)) {
+      throw new error.ConfigurationError(`Relation ${name} must define a model.`);
+    }
+
+    this.owner = owner;
+    this.name = name;
+    this.type = definition.type;
+    this.definition = definition;
+  }
+
+  /**
+   * The related model class.
+   */
+  get Model () {
+    // Required here as the main module requires this one.
+    const Ormur = require('./index');
+    const model = this.definition.model;
+    return model.prototype instanceof Ormur ? model : model();
+  }
+
+  /**
+   * An instance of the related model, as context for its table and keys.
+   */
+  get target () {
+    return new this.Model({ _empty: true });
+  }
+
+  /**
+   * The foreign key column. It is on the owner for belongsTo relations, on the
+   * related model for hasOne and hasMany relations and on the join table for
+   * manyToMany relations.
+   */
+  get foreignKey () {
+    if (this.definition.foreignKey) {
+      return this.definition.foreignKey;
+    }
+    if (this.type === 'belongsTo') {
+      return foreignKeyFor(this.name);
+    }
+    return foreignKeyFor(this.owner.constructor.name);
+  }
+
+  /**
+   * The column on the related model that is referenced; the primary key of
+   * the related model by default.
+   */
+  get targetKey () {
+    return this.definition.targetKey || this._primaryKeyOf(this.target, 'targetKey');
+  }
+
+  /**
+   * The column on the owner that is referenced; the primary key of the owner
+   * by default.
+   */
+  get sourceKey () {
+    return this.definition.sourceKey || this._primaryKeyOf(this.owner, 'sourceKey');
+  }
+
+  /**
+   * Get the single primary key column of a model instance, as the default of
+   * a key option. Models with composite primary keys must set the option.
+   */
+  _primaryKeyOf (instance, option) {
+    if (instance._primaryKey.length > 1) {
+      throw new error.ConfigurationError(`Relation ${this.name} must define a ${option}, ` +
+        `as ${instance.constructor.name} has a composite primary key.`);
+    }
+    return instance._primaryKey[0];
+  }
+
+  /**
+   * The join table of a manyToMany relation. Defaults to the table names of
+   * both models in alphabetical order, e.g. `posts_tags`.
+   */
+  get through () {
+    return this.definition.through ||
+      [this.owner._tableName, this.target._tableName].sort().join('_');
+  }
+
+  /**
+   * The join table column referencing the related model in a manyToMany
+   * relation.
+   */
+  get otherKey () {
+    return this.definition.otherKey || foreignKeyFor(this.Model.name);
+  }
+
+  /**
+   * Fetch the related data of a model instance.
+   *
+   * @param {Ormur} instance The model instance.
+   * @param {Object} [options] Options for the query.
+   * @param {Object} [options.transacting] A transaction to run the query in.
+   * @returns {Promise|Query} Resolves to a related model instance (or null) for
+   *                          belongsTo and hasOne relations; otherwise a query
+   *                          resolving to an array of related model instances.
+   */
+  fetch (instance, options) {
+    const trx = options && options.transacting;
+    if (this.type === 'belongsTo') {
+      const value = instance[this.foreignKey];
+      if (_.isUndefined(value) || _.isNull(value)) {
+        return Promise.resolve(null);
+      }
+      return this.Model.query().transacting(trx).where(this.targetKey, value).first();
+    }
+
+    const value = instance[this.sourceKey];
+    if (this.type === 'hasOne') {
+      return this.Model.query().transacting(trx).where(this.foreignKey, value).first();
+    }
+    if (this.type === 'hasMany') {
+      return this.Model.query().transacting(trx).where(this.foreignKey, value);
+    }
+
+    const join = (trx || this.target.knex)(this.through)
+      .select(this.owner._columnName(this.otherKey))
+      .where(this.owner._columnName(this.foreignKey), value);
+    return this.Model.query().transacting(trx).whereIn(this.targetKey, join);
+  }
+
+  /**
+   * Fetch the related data of many model instances with a single query per
+   * relation (two for manyToMany relations) and attach it to each instance.
+   *
+   * @param {Array} instances The model instances.
+   * @param {Array} [nested] Relations of the related model to load as well.
+   * @param {Object} [trx] A transaction to run the queries in.
+   * @returns {Promise} Resolves to an array of all related model instances.
+   */
+  load (instances, nested, trx) {
+    if (this.type === 'belongsTo') {
+      return this._fetchIn(this.targetKey, this._keys(instances, this.foreignKey), nested, trx)
+        .then(related => {
+          const byKey = _.keyBy(related, this.targetKey);
+          _.each(instances, (instance) => {
+            instance._related[this.name] = byKey[instance[this.foreignKey]] || null;
+          });
+          return related;
+        });
+    }
+
+    const keys = this._keys(instances, this.sourceKey);
+    if (this.type === 'manyToMany') {
+      return this._loadThrough(instances, keys, nested, trx);
+    }
+
+    return this._fetchIn(this.foreignKey, keys, nested, trx).then(related => {
+      const byKey = _.groupBy(related, this.foreignKey);
+      _.each(instances, (instance) => {
+        const group = byKey[instance[this.sourceKey]] || [];
+        instance._related[this.name] = this.type === 'hasOne' ? group[0] || null : group;
+      });
+      return related;
+    });
+  }
+
+  /**
+   * Get the unique, non-null values of a column from model instances.
+   */
+  _keys (instances, column) {
+    return _(instances).map(column).reject(_.isNil).uniq().value();
+  }
+
+  /**
+   * Fetch related model instances where the column is one of the keys.
+   */
+  _fetchIn (column, keys, nested, trx) {
+    if (_.isEmpty(keys)) {
+      return Promise.resolve([]);
+    }
+    return this.Model.query()
+      .transacting(trx)
+      .whereIn(column, keys)
+      .withRelated(nested || [])
+      .all();
+  }
+
+  /**
+   * Load a manyToMany relation by first reading the join table and then the
+   * related rows.
+   */
+  _loadThrough (instances, keys, nested, trx) {
+    const foreignKey = this.owner._columnName(this.foreignKey);
+    const otherKey = this.owner._columnName(this.otherKey);
+    const rows = _.isEmpty(keys) ? Promise.resolve([]) : (trx || this.target.knex)(this.through)
+      .select(foreignKey, otherKey)
+      .whereIn(foreignKey, keys);
+
+    return Promise.resolve(rows).then(joinRows => {
+      const otherKeys = _(joinRows).map(otherKey).uniq().value();
+      return this._fetchIn(this.targetKey, otherKeys, nested, trx).then(related => {
+        const byKey = _.keyBy(related, this.targetKey);
+        const byForeignKey = _.groupBy(joinRows, foreignKey);
+        _.each(instances, (instance) => {
+          const group = byForeignKey[instance[this.sourceKey]];
+          instance._related[this.name] = _.compact(_.map(group, (row) => byKey[row[otherKey]]));
+        });
+        return related;
+      });
+    });
+  }
+
+}
+
+
+/**
+ * Load relations for model instances, e.g. `['posts', 'posts.comments']`.
+ * Nested relations are loaded for each level of related instances in turn.
+ *
+ * @param {Ormur} context An instance of the model of the instances.
+ * @param {Array} instances The model instances.
+ * @param {Array} paths The relation names, dot-separated for nested relations.
+ * @param {Object} [trx] A transaction to run the queries in.
+ * @returns {Promise} Resolves when all relations have been loaded.
+ */
+function eagerLoad (context, instances, paths, trx) {
+  const nestedByName = {};
+  _.each(paths, (path) => {
+    const parts = path.split('.');
+    const nested = nestedByName[parts[0]] = nestedByName[parts[0]] || [];
+    if (parts.length > 1) {
+      nested.push(_.tail(parts).join('.'));
+    }
+  });
+
+  return Promise.all(_.map(nestedByName, (nested, name) => {
+    const relation = context._relations[name];
+    if (!relation) {
+      return Promise.reject(new error.ConfigurationError(`Relation ${name} is not defined.`));
+    }
+    return relation.load(instances, nested, trx);
+  }));
+}
+
+
+exports.Relation = Relation;
+exports.eagerLoad = eagerLoad;
+exports.foreignKeyFor = foreignKeyFor;
@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * The built-in column types for Ormur. Each type has a `validate` function to
+ * check values and may have `serialize` and `deserialize` functions to convert
+ * values to their database representation and back. All three receive the
+ * value and the rules of the column from the schema, followed by the function
+ * used to look up types by name (see `Ormur.getType`).
+ *
+ * Deserialization runs on every value read into an instance, including values
+ * passed by the user, so it only converts values it recognizes and leaves the
+ * rest for validation to reject.
+ */
+
+const _ = require('lodash');
+
+const util = require('./util');
+
+
+const NUMERIC = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const INTEGER = /^[+-]?\d+$/;
+
+
+/**
+ * Convert strings and numbers to dates.
+ */
+function toDate (value) {
+  return _.isString(value) || _.isNumber(value) ? new Date(value) : value;
+}
+
+/**
+ * Check that a value is a valid date.
+ */
+function isValidDate (value) {
+  return _.isDate(value) && !_.isNaN(value.getTime());
+}
+
+/**
+ * Get the rules for the elements of an array column, which may be given as a
+ * type name or as rules, e.g. `of: 'integer'` or `of: { type: 'enum', values }`.
+ */
+function elementRules (rules) {
+  return _.isString(rules.of) ? { type: rules.of } : rules.of || {};
+}
+
+
+// The types by name, as used in the schema.
+const types = {};
+
+/**
+ * Look up a built-in type by name.
+ */
+function getBuiltIn (name) {
+  return types[name];
+}
+
+
+/**
+ * Check that a value matches the type of a column. Values of columns without
+ * a known type are always valid.
+ *
+ * @param {*} value The value to check.
+ * @param {Object} rules The rules of the column from the schema.
+ * @param {Function} [getType] Looks up types by name; built-in types by default.
+ * @returns {Boolean} True if the value is valid; otherwise false.
+ */
+function validate (value, rules, getType) {
+  getType = getType || getBuiltIn;
+  const type = getType(rules.type);
+  return !type || !!type.validate(value, rules, getType);
+}
+
+/**
+ * Convert a value to its database representation. Null and undefined values
+ * are kept as they are.
+ *
+ * @param {*} value The value to convert.
+ * @param {Object} rules The rules of the column from the schema.
+ * @param {Function} [getType] Looks up types by name; built-in types by default.
+ * @returns {*} The converted value.
+ */
+function serialize (value, rules, getType) {
+  getType = getType || getBuiltIn;
+  const type = getType(rules.type);
+  if (_.isUndefined(value) || _.isNull(value) || !type || !type.serialize) {
+    return value;
+  }
+  return type.serialize(value, rules, getType);
+}
+
+/**
+ * Convert a value from its database representation. Null and undefined
+ * values are kept as they are.
+ *
+ * @param {*} value The value to convert.
+ * @param {Object} rules The rules of the column from the schema.
+ * @param {Function} [getType] Looks up types by name; built-in types by default.
+ * @returns {*} The converted value.
+ */
+function deserialize (value, rules, getType) {
+  getType = getType || getBuiltIn;
+  const type = getType(rules.type);
+  if (_.isUndefined(value) || _.isNull(value) || !type || !type.deserialize) {
+    return value;
+  }
+  return type.deserialize(value, rules, getType);
+}
+
+
+_.assign(types, {
+  string: {
+    validate: _.isString
+  },
+
+  integer: {
+    validate: _.isInteger,
+    deserialize: (value) => _.isString(value) && INTEGER.test(value) ? parseInt(value, 10) : value
+  },
+
+  float: {
+    validate: _.isFinite,
+    deserialize: (value) => _.isString(value) && NUMERIC.test(value) ? parseFloat(value) : value
+  },
+
+  // Kept as strings to avoid losing precision, as the database returns them.
+  decimal: {
+    validate: (value) => _.isFinite(value) || _.isString(value) && NUMERIC.test(value),
+    deserialize: (value) => _.isFinite(value) ? String(value) : value
+  },
+
+  // Numbers if they can be represented exactly; otherwise strings.
+  bigint: {
+    validate: (value) => Number.isSafeInteger(value) || _.isString(value) && INTEGER.test(value),
+    deserialize: (value) => {
+      if (_.isString(value) && INTEGER.test(value) && Number.isSafeInteger(Number(value))) {
+        return Number(value);
+      }
+      return value;
+    }
+  },
+
+  boolean: {
+    validate: _.isBoolean
+  },
+
+  date: {
+    validate: isValidDate,
+    deserialize: toDate
+  },
+
+  timestamp: {
+    validate: isValidDate,
+    deserialize: toDate
+  },
+
+  uuid: {
+    validate: util.isUuid
+  },
+
+  json: {
+    validate: (value) => _.isPlainObject(value) || _.isArray(value) || _.isString(value) ||
+                         _.isFinite(value) || _.isBoolean(value),
+    serialize: (value) => JSON.stringify(value),
+    deserialize: (value) => {
+      if (_.isString(value) && /^\s*[\[{]/.test(value)) {
+        try {
+          return JSON.parse(value);
+        } catch (err) {
+          return value;
+        }
+      }
+      return value;
+    }
+  },
+
+  enum: {
+    validate: (value, rules) => _.includes(rules.values, value)
+  },
+
+  array: {
+    validate: (value, rules, getType) => {
+      return _.isArray(value) &&
+        _.every(value, (element) => validate(element, elementRules(rules), getType));
+    },
+    serialize: (value, rules, getType) => {
+      return _.isArray(value) ?
+        _.map(value, (element) => serialize(element, elementRules(rules), getType)) :
+        value;
+    },
+    deserialize: (value, rules, getType) => {
+      return _.isArray(value) ?
+        _.map(value, (element) => deserialize(element, elementRules(rules), getType)) :
+        value;
+    }
+  }
+});
+
+
+exports.types = types;
+exports.validate = validate;
+exports.serialize = serialize;
+exports.deserialize = deserialize;
@@ -7,6 +7,14 @@
 const _ = require('lodash');
 
 
+// The built-in naming strategies, translating column names as used in the
+// schema to database column names and back.
+const NAMING_STRATEGIES = {
+  snakeCase: { column: _.snakeCase, property: _.camelCase },
+  camelCase: { column: _.identity, property: _.identity }
+};
+
+
 /**
  * Morph the keys of the given object so that they are snake_cased.
  *
@@ -33,6 +41,23 @@ function camelCased (obj) {
   }, {});
 }
 
+/**
+ * Get a built-in naming strategy by name, or make one from a function
+ * translating column names as used in the schema to database column names.
+ * Database column names are kept as they are when translated back by such a
+ * function, unless they are known from the schema.
+ *
+ * @param {String|Function} strategy The name of a built-in strategy, or a function.
+ * @returns {Object|null} The strategy, with `column` and `property` functions
+ *                        translating names each way; null if unknown.
+ */
+function namingStrategy (strategy) {
+  if (_.isFunction(strategy)) {
+    return { column: strategy, property: _.identity };
+  }
+  return _.has(NAMING_STRATEGIES, strategy) ? NAMING_STRATEGIES[strategy] : null;
+}
+
 /**
  * Check whether a string is a UUID, as per RFC4122.
  *
@@ -50,4 +75,5 @@ function isUuid (string) {
 
 exports.snakeCased = snakeCased;
 exports.camelCased = camelCased;
+exports.namingStrategy = namingStrategy;
 exports.isUuid = isUuid;
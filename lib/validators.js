@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Built-in validation rules for schema columns. Each rule receives the value,
+ * the option set for the rule in the schema and the column name, and returns
+ * a failure message if the value is invalid.
+ */
+
+const _ = require('lodash');
+
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^\s/?#]+[^\s]*$/i;
+
+
+/**
+ * Check that a string or array has at least the given length.
+ */
+function minLength (value, length, column) {
+  if (value.length < length) {
+    return `${column} must be at least ${length} long`;
+  }
+  return null;
+}
+
+/**
+ * Check that a string or array has at most the given length.
+ */
+function maxLength (value, length, column) {
+  if (value.length > length) {
+    return `${column} must be at most ${length} long`;
+  }
+  return null;
+}
+
+/**
+ * Check that a number or date is not less than the given minimum.
+ */
+function min (value, minimum, column) {
+  if (value < minimum) {
+    return `${column} must be at least ${minimum}`;
+  }
+  return null;
+}
+
+/**
+ * Check that a number or date is not greater than the given maximum.
+ */
+function max (value, maximum, column) {
+  if (value > maximum) {
+    return `${column} must be at most ${maximum}`;
+  }
+  return null;
+}
+
+/**
+ * Check that a string matches a regular expression (or a string thereof).
+ */
+function pattern (value, regex, column) {
+  if (!new RegExp(regex).test(value)) {
+    return `${column} must match ${regex}`;
+  }
+  return null;
+}
+
+/**
+ * Check that the value is one of the allowed values.
+ */
+function oneOf (value, values, column) {
+  if (!_.includes(values, value)) {
+    return `${column} must be one of ${values.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Check that a string looks like an e-mail address, if the option is true.
+ */
+function email (value, enabled, column) {
+  if (enabled && !EMAIL_PATTERN.test(value)) {
+    return `${column} must be an email address`;
+  }
+  return null;
+}
+
+/**
+ * Check that a string is an absolute URL, if the option is true.
+ */
+function url (value, enabled, column) {
+  if (enabled && !URL_PATTERN.test(value)) {
+    return `${column} must be a URL`;
+  }
+  return null;
+}
+
+
+// The rules by the name they are set with in the schema.
+exports.rules = {
+  minLength,
+  maxLength,
+  min,
+  max,
+  pattern,
+  enum: oneOf,
+  email,
+  url
+};
@@ -4,6 +4,12 @@
 const exec = require('child_process').exec;
 
 
+// Mocha loads this file along with the tests; only set up the database when it
+// is run as a script, as it exits the process when done.
+if (require.main !== module) {
+  return;
+}
+
 exec(`psql -c 'create database "ormur-test";' -U postgres`, () => {
   const knex = require('knex')({
     client: 'postgresql',
@@ -17,6 +23,63 @@ exec(`psql -c 'create database "ormur-test";' -U postgres`, () => {
     table.string('foreign_table_id');
     table.bool('is_cool');
     table.date('created_at');
+  }).then(() => knex.schema.createTableIfNotExists('profiles', (table) => {
+    table.increments();
+    table.integer('user_id');
+    table.string('bio');
+  })).then(() => knex.schema.createTableIfNotExists('posts', (table) => {
+    table.increments();
+    table.string('title');
+    table.integer('author_id');
+  })).then(() => knex.schema.createTableIfNotExists('tags', (table) => {
+    table.increments();
+    table.string('name');
+  })).then(() => knex.schema.createTableIfNotExists('posts_tags', (table) => {
+    table.integer('post_id');
+    table.integer('tag_id');
+  })).then(() => knex.schema.createTableIfNotExists('typed_records', (table) => {
+    table.increments();
+    table.float('ratio');
+    table.decimal('price', 12, 2);
+    table.bigInteger('views');
+    table.jsonb('data');
+    table.specificType('scores', 'integer[]');
+    table.enu('status', ['draft', 'published']);
+    table.timestamp('recorded_at');
+  })).then(() => knex.schema.createTableIfNotExists('notes', (table) => {
+    table.increments();
+    table.string('body');
+    table.timestamp('deleted_at');
+  })).then(() => knex.schema.createTableIfNotExists('articles', (table) => {
+    table.increments();
+    table.string('title');
+    table.timestamp('created_at');
+    table.timestamp('updated_at');
+    table.integer('version');
+  })).then(() => knex.schema.hasTable('accounts')).then(exists => {
+    // Checked first, as the unique constraint would be added again otherwise.
+    return exists || knex.schema.createTable('accounts', (table) => {
+      table.increments();
+      table.string('email').unique();
+      table.string('name');
+      table.string('plan');
+    });
+  }).then(() => knex.raw('create schema if not exists billing')).then(() => {
+    // Named like a legacy table, to test mapping column names.
+    return knex.schema.createTableIfNotExists('billing.invoices', (table) => {
+      table.increments('InvoiceID');
+      table.string('CustName');
+      table.integer('totalCents');
+      table.boolean('isPaid');
+    });
+  }).then(() => knex.schema.hasTable('memberships')).then(exists => {
+    // Checked first, as the primary key would be added again otherwise.
+    return exists || knex.schema.createTable('memberships', (table) => {
+      table.integer('tenant_id').notNullable();
+      table.integer('id').notNullable();
+      table.string('role');
+      table.primary(['tenant_id', 'id']);
+    });
   }).then(() => {
     setTimeout(() => {
       process.exit();
@@ -0,0 +1,44 @@
+'use strict';
+
+const Model = require('./model');
+const Writer = require('./writer');
+
+
+class Essay extends Model {
+  get schema () {
+    return {
+      id: {
+        type: 'integer',
+        primaryKey: true
+      },
+      title: {
+        type: 'string',
+        notNull: true
+      },
+      status: {
+        type: 'enum',
+        values: ['draft', 'published'],
+        defaultValue: 'draft'
+      },
+      keywords: {
+        type: 'array',
+        of: 'string'
+      },
+      metadata: {
+        type: 'json'
+      }
+    };
+  }
+
+  get relations () {
+    return {
+      writer: {
+        type: 'belongsTo',
+        model: Writer
+      }
+    };
+  }
+}
+
+
+module.exports = Essay;
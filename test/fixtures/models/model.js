@@ -0,0 +1,21 @@
+'use strict';
+
+const knex = require('knex');
+
+const Ormur = require('../../../lib');
+
+const knexConnection = knex({
+  client: 'postgresql',
+  connection: 'postgres://postgres:@localhost:5432/ormur-test'
+});
+
+
+class Model extends Ormur {
+  constructor () {
+    super(...arguments);
+    this.knex = knexConnection;
+  }
+}
+
+
+module.exports = Model;
@@ -0,0 +1,30 @@
+'use strict';
+
+const Model = require('./model');
+
+
+class Writer extends Model {
+  get schema () {
+    return {
+      id: {
+        type: 'integer',
+        primaryKey: true
+      },
+      name: {
+        type: 'string',
+        notNull: true
+      },
+      bio: {
+        type: 'string',
+        maxLength: 500
+      },
+      active: {
+        type: 'boolean',
+        defaultValue: true
+      }
+    };
+  }
+}
+
+
+module.exports = Writer;
@@ -122,7 +122,7 @@ describe('Ormur', () => {
 
     it('should find and set the primary key', () => {
       const instance = new User();
-      expect(instance._primaryKey).to.eq('id');
+      expect(instance._primaryKey).to.eql(['id']);
     });
 
     it('should allow instantiating for context only (for static methods)', () => {
@@ -176,48 +176,53 @@ describe('Ormur', () => {
 
   describe('Validation', () => {
     function testInstantiation (Model, attributes, noName) {
-      try {
-        if (!noName) {
-          attributes.name = attributes.name || 'temp';
-        }
-        new Model(attributes).validate();
-        return true;
-      } catch (err) {
-        return false;
+      if (!noName) {
+        attributes.name = attributes.name || 'temp';
       }
+      return new Model(attributes).validate().then(() => true, () => false);
     }
 
     it('should validate that integer column values are integers', () => {
-      expect(testInstantiation(User, { id: 1 })).to.be.true;
-      expect(testInstantiation(User, { id: 'foo' })).to.be.false;
+      return Promise.all([
+        testInstantiation(User, { id: 1 }),
+        testInstantiation(User, { id: 'foo' })
+      ]).then(results => expect(results).to.eql([true, false]));
     });
 
     it('should validate that string column values are strings', () => {
-      expect(testInstantiation(User, { name: '123123' })).to.be.true;
-      expect(testInstantiation(User, { name: 123123 })).to.be.false;
+      return Promise.all([
+        testInstantiation(User, { name: '123123' }),
+        testInstantiation(User, { name: 123123 })
+      ]).then(results => expect(results).to.eql([true, false]));
     });
 
     it('should validate that uuid column values are uuids', () => {
-      expect(testInstantiation(User, { foreignTableId: uuid.v4() })).to.be.true;
-      expect(testInstantiation(User, { foreignTableId: 'foo' })).to.be.false;
+      return Promise.all([
+        testInstantiation(User, { foreignTableId: uuid.v4() }),
+        testInstantiation(User, { foreignTableId: 'foo' })
+      ]).then(results => expect(results).to.eql([true, false]));
     });
 
     it('should validate that boolean column values are booleans', () => {
-      expect(testInstantiation(User, { isCool: true })).to.be.true;
-      expect(testInstantiation(User, { isCool: 'foo' })).to.be.false;
+      return Promise.all([
+        testInstantiation(User, { isCool: true }),
+        testInstantiation(User, { isCool: 'foo' })
+      ]).then(results => expect(results).to.eql([true, false]));
     });
 
     it('should validate that date column values are dates', () => {
-      expect(testInstantiation(User, { createdAt: new Date() })).to.be.true;
-      expect(testInstantiation(User, { isCool: 'foo' })).to.be.false;
+      return Promise.all([
+        testInstantiation(User, { createdAt: new Date() }),
+        testInstantiation(User, { isCool: 'foo' })
+      ]).then(results => expect(results).to.eql([true, false]));
     });
 
     it('should validate presence of a value or default value of notNull columns', () => {
-      expect(testInstantiation(User, {}, true)).to.be.false;
+      return testInstantiation(User, {}, true).then(result => expect(result).to.be.false);
     });
 
     it('should validate that values and default values match column types');
-    it('should validate columns with their custom column validators', (cb) => {
+    it('should validate columns with their custom column validators', () => {
       class WithCustomValidator extends BaseModel {
         get schema () {
           return {
@@ -231,13 +236,253 @@ describe('Ormur', () => {
       }
 
       const instance = new WithCustomValidator({ id: 0 });
-      try {
-        instance.validate();
-      } catch (err) {
-        // Expected to fail.
-        expect(err).to.not.be.undefined;
-        cb();
+      return instance.validate().then(() => {
+        throw new Error('Expected validation to fail.');
+      }, (err) => {
+        expect(err.name).to.eq('ValidationError');
+      });
+    });
+
+    it('should collect all failures by column', () => {
+      const instance = new User({ isCool: 'foo', foreignTableId: 'bar' });
+      return instance.validate().then(() => {
+        throw new Error('Expected validation to fail.');
+      }, (err) => {
+        expect(err.name).to.eq('ValidationError');
+        expect(err.errors).to.eql({
+          name: [{ rule: 'notNull', message: 'name cannot be null', value: undefined }],
+          foreignTableId: [{ rule: 'type', message: 'foreignTableId must be of type uuid', value: 'bar' }],
+          isCool: [{ rule: 'type', message: 'isCool must be of type boolean', value: 'foo' }]
+        });
+        expect(err.message).to.contain('name cannot be null');
+        expect(err.message).to.contain('isCool must be of type boolean');
+      });
+    });
+
+    it('should check validity without rejecting', () => {
+      return Promise.all([
+        new User({ name: 'Hawk' }).isValid(),
+        new User({ name: 123 }).isValid(),
+        new User({ name: 'Hawk' }).getErrors(),
+        new User({ name: 123 }).getErrors()
+      ]).then(results => {
+        expect(results[0]).to.be.true;
+        expect(results[1]).to.be.false;
+        expect(results[2]).to.eql({});
+        expect(_.keys(results[3])).to.eql(['name']);
+      });
+    });
+
+    it('should use messages returned by custom validators, which may be async', () => {
+      class WithMessages extends BaseModel {
+        get schema () {
+          return {
+            id: {
+              type: 'integer',
+              primaryKey: true,
+              validate: (value) => value > 0 || 'id must be positive'
+            },
+            name: {
+              type: 'string',
+              validate: (value) => Promise.resolve(value !== 'taken' || 'name is taken')
+            }
+          };
+        }
       }
+
+      return new WithMessages({ id: 0, name: 'taken' }).getErrors().then(errors => {
+        expect(errors.id[0]).to.eql({ rule: 'validate', message: 'id must be positive', value: 0 });
+        expect(errors.name[0].message).to.eq('name is taken');
+      });
+    });
+  });
+
+  describe('Validation rules', () => {
+    class WithRules extends BaseModel {
+      constructor () {
+        super(...arguments);
+        this._tableName = 'users';
+      }
+
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          name: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 10,
+            pattern: /^[A-Z]/,
+            unique: true
+          },
+          password: {
+            type: 'string',
+            email: true
+          }
+        };
+      }
+    }
+
+    it('should report a failure per built-in rule', () => {
+      return new WithRules({ name: 'a', password: 'nope' }).getErrors().then(errors => {
+        expect(_.map(errors.name, 'rule')).to.eql(['minLength', 'pattern']);
+        expect(errors.password).to.eql([
+          { rule: 'email', message: 'password must be an email address', value: 'nope' }
+        ]);
+      });
+    });
+
+    it('should check uniqueness against other rows', () => {
+      const name = `Unique${Date.now() % 10000}`;
+      return new WithRules({ name }).getErrors().then(errors => {
+        expect(errors).to.eql({});
+        return WithRules.create({ name });
+      }).then(user => {
+        // The row itself is excluded from the check.
+        return user.isValid();
+      }).then(valid => {
+        expect(valid).to.be.true;
+        return new WithRules({ name }).getErrors();
+      }).then(errors => {
+        expect(errors.name).to.eql([{ rule: 'unique', message: 'name must be unique', value: name }]);
+      });
+    });
+  });
+
+  describe('Column types', () => {
+    class TypedRecord extends BaseModel {
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          ratio: {
+            type: 'float'
+          },
+          price: {
+            type: 'decimal'
+          },
+          views: {
+            type: 'bigint'
+          },
+          data: {
+            type: 'json'
+          },
+          scores: {
+            type: 'array',
+            of: 'integer'
+          },
+          status: {
+            type: 'enum',
+            values: ['draft', 'published']
+          },
+          recordedAt: {
+            type: 'timestamp'
+          }
+        };
+      }
+    }
+
+    it('should convert values when hydrating instances', () => {
+      const record = new TypedRecord({ ratio: '0.5', views: '42', recorded_at: '2016-01-01' });
+      expect(record.ratio).to.eq(0.5);
+      expect(record.views).to.eq(42);
+      expect(record.recordedAt).to.eql(new Date('2016-01-01'));
+    });
+
+    it('should write and read values of all types', () => {
+      const recordedAt = new Date();
+      return TypedRecord.create({
+        ratio: 0.25,
+        price: '19.99',
+        views: 9000,
+        data: [{ nested: true }],
+        scores: [1, 2, 3],
+        status: 'draft',
+        recordedAt
+      }).then(record => TypedRecord.find(record.id)).then(record => {
+        expect(record.ratio).to.eq(0.25);
+        expect(record.price).to.eq('19.99');
+        expect(record.views).to.eq(9000);
+        expect(record.data).to.eql([{ nested: true }]);
+        expect(record.scores).to.eql([1, 2, 3]);
+        expect(record.status).to.eq('draft');
+        expect(record.recordedAt).to.eql(recordedAt);
+      });
+    });
+
+    it('should reject values which do not match the types', () => {
+      return new TypedRecord({ ratio: 'abc', scores: [1, 'a'], status: 'deleted' }).getErrors()
+        .then(errors => {
+          expect(_.keys(errors)).to.eql(['ratio', 'scores', 'status']);
+        });
+    });
+  });
+
+  describe('Ormur.registerType', () => {
+    // Prices in cents, stored as decimals.
+    Ormur.registerType('cents', {
+      validate: _.isInteger,
+      serialize: (value) => (value / 100).toFixed(2),
+      deserialize: (value) => _.isString(value) ? Math.round(parseFloat(value) * 100) : value
+    });
+
+    class PricedRecord extends BaseModel {
+      constructor () {
+        super(...arguments);
+        this._tableName = 'typed_records';
+      }
+
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          price: {
+            type: 'cents'
+          }
+        };
+      }
+    }
+
+    class LenientRecord extends PricedRecord {}
+    LenientRecord.registerType('cents', { validate: _.isFinite });
+
+    it('should make registered types available to all models', () => {
+      expect(User.getType('cents')).to.eq(PricedRecord.getType('cents'));
+      expect(User.getType('string')).to.be.an('object');
+    });
+
+    it('should use registered types for validation, writes and reads', () => {
+      return new PricedRecord({ price: 1.5 }).isValid().then(isValid => {
+        expect(isValid).to.be.false;
+        return PricedRecord.create({ price: 1999 });
+      }).then(record => {
+        expect(record.price).to.eq(1999);
+        return knexConnection('typed_records').where('id', record.id).first('price');
+      }).then(row => {
+        expect(row.price).to.eq('19.99');
+      });
+    });
+
+    it('should let models override types for themselves', () => {
+      expect(LenientRecord.getType('cents')).to.not.eq(PricedRecord.getType('cents'));
+      return Promise.all([
+        new LenientRecord({ price: 1.5 }).isValid(),
+        new PricedRecord({ price: 1.5 }).isValid()
+      ]).then(results => {
+        expect(results).to.eql([true, false]);
+      });
+    });
+
+    it('should require types to define a validate function', () => {
+      expect(() => Ormur.registerType('broken', {})).to.throw(/must define a validate function/);
+      expect(() => Ormur.registerType('broken', { validate: _.isString, serialize: true }))
+        .to.throw(/must be a function/);
     });
   });
 
@@ -286,7 +531,82 @@ describe('Ormur', () => {
       const instance = new User({ name: 'Ormur' });
       expect(instance.id).to.be.undefined;
       return instance.save().then(user => {
-        expect(user.id).to.be.defined;
+        expect(user).to.eq(instance);
+        expect(instance.id).to.be.a('number');
+      });
+    });
+
+    it('should read values set by the database into the instance', () => {
+      const instance = new User({ name: 'Ormur' });
+      return instance.save().then(() => {
+        // Set by a transform and returned from the database.
+        expect(instance.foreignTableId).to.satisfy(util.isUuid);
+        expect(instance.isDirty()).to.be.false;
+      });
+    });
+
+    it('should resolve to a copy with the copy option', () => {
+      const instance = new User({ name: 'Ormur' });
+      return instance.save({ copy: true }).then(user => {
+        expect(user).to.not.eq(instance);
+        expect(user.id).to.be.a('number');
+        expect(instance.isNew()).to.be.true;
+      });
+    });
+
+    it('should only insert if data has not been inserted, otherwise update', () => {
+      let id;
+      return User.create({ name: 'Falcon' }).then(user => {
+        id = user.id;
+        user.name = 'Hawk';
+        return user.save();
+      }).then(user => {
+        expect(user.id).to.eq(id);
+        return User.where({ name: 'Falcon' }).whereIn('id', [id]).count();
+      }).then(count => {
+        expect(count).to.eq(0);
+        return User.find(id);
+      }).then(user => {
+        expect(user.name).to.eq('Hawk');
+      });
+    });
+  });
+
+  describe('Ormur#isNew', () => {
+    it('should be true until the instance has been persisted', () => {
+      const instance = new User({ name: 'Hawk' });
+      expect(instance.isNew()).to.be.true;
+      return instance.save().then(user => {
+        expect(user.isNew()).to.be.false;
+        return User.find(user.id);
+      }).then(user => {
+        expect(user.isNew()).to.be.false;
+      });
+    });
+  });
+
+  describe('Ormur#reload', () => {
+    it('should read the row into the same instance', () => {
+      let user;
+      return User.create({ name: 'Falcon' }).then(result => {
+        user = result;
+        user.name = 'Discarded';
+        return User.where({ id: user.id }).toKnex().update({ is_cool: true });
+      }).then(() => user.reload()).then(result => {
+        expect(result).to.eq(user);
+        expect(user.name).to.eq('Falcon');
+        expect(user.isCool).to.be.true;
+        expect(user.isDirty()).to.be.false;
+      });
+    });
+
+    it('should reject if the row no longer exists', () => {
+      return User.create({ name: 'Gone' }).then(user => {
+        return User.destroy(user.id).then(() => user.reload());
+      }).then(() => {
+        throw new Error('Expected reload to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('NotFoundError');
       });
     });
   });
@@ -301,6 +621,89 @@ describe('Ormur', () => {
         expect(user.name).to.eq('Hawk');
       });
     });
+
+    it('should update the instance itself', () => {
+      let instance;
+      return User.create({ name: 'Falcon' }).then(user => {
+        instance = user;
+        instance.name = 'Hawk';
+        return instance.update();
+      }).then(user => {
+        expect(user).to.eq(instance);
+        expect(instance.isDirty()).to.be.false;
+      });
+    });
+
+
+    it('should reject and leave the instance unchanged if the row no longer exists', () => {
+      let instance;
+      return User.create({ name: 'Vanished' }).then(user => {
+        instance = user;
+        return knexConnection('users').where('id', instance.id).del();
+      }).then(() => {
+        instance.name = 'Renamed';
+        return instance.update();
+      }).then(() => {
+        throw new Error('Expected the update to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('NotFoundError');
+        expect(instance.name).to.eq('Renamed');
+        expect(instance.isDirty('name')).to.be.true;
+        expect(instance.isNew()).to.be.false;
+      });
+    });
+  });
+
+  describe('Dirty tracking', () => {
+    it('should consider all columns with values of new instances changed', () => {
+      const instance = new User({ name: 'Hawk' });
+      expect(instance.isDirty()).to.be.true;
+      expect(instance.isDirty('name')).to.be.true;
+      expect(instance.isDirty('isCool')).to.be.false;
+      expect(instance.changedAttributes()).to.eql({ name: 'Hawk' });
+    });
+
+    it('should track changes of persisted instances', () => {
+      return User.create({ name: 'Falcon' }).then(user => {
+        expect(user.isDirty()).to.be.false;
+        user.name = 'Hawk';
+        expect(user.isDirty('name')).to.be.true;
+        expect(user.isDirty('isCool')).to.be.false;
+        expect(user.previous('name')).to.eq('Falcon');
+        expect(user.changedAttributes()).to.eql({ name: 'Hawk' });
+      });
+    });
+
+    it('should only update changed columns, without transforming the others', () => {
+      const queries = [];
+      const onQuery = (query) => queries.push(query);
+      return User.create({ name: 'Falcon', password: 'secret' }).then(user => {
+        expect(user.password).to.eq('!!!secret!!!');
+        user.name = 'Hawk';
+        knexConnection.on('query', onQuery);
+        return user.update();
+      }).then(user => {
+        knexConnection.removeListener('query', onQuery);
+        expect(queries.length).to.eq(1);
+        expect(queries[0].sql).to.match(/set "name" = \? where/);
+        expect(user.password).to.eq('!!!secret!!!');
+      });
+    });
+
+    it('should not update anything if nothing has changed', () => {
+      const queries = [];
+      const onQuery = (query) => queries.push(query);
+      let user;
+      return User.create({ name: 'Unchanged' }).then(result => {
+        user = result;
+        knexConnection.on('query', onQuery);
+        return user.update();
+      }).then(result => {
+        knexConnection.removeListener('query', onQuery);
+        expect(queries).to.be.empty;
+        expect(result).to.eq(user);
+      });
+    });
   });
 
   describe('Ormur#destroy', () => {
@@ -330,6 +733,102 @@ describe('Ormur', () => {
       expect(instance.toJSON().id).to.be.defined;
       expect(instance.toJSON().password).to.be.undefined;
     });
+
+    it('should pick, omit and include values by options', () => {
+      const instance = new User({ id: 1, name: 'Hawk', password: 'password123', isCool: true });
+      expect(instance.toJSON({ only: ['id', 'name', 'password'] })).to.eql({ id: 1, name: 'Hawk' });
+      expect(instance.toJSON({ except: ['isCool'], includeHidden: true })).to.eql({
+        id: 1,
+        name: 'Hawk',
+        password: 'password123'
+      });
+      expect(instance.toJSON({
+        only: ['id'],
+        include: { nickname: (user) => user.name.toLowerCase(), version: 2 }
+      })).to.eql({ id: 1, nickname: 'hawk', version: 2 });
+      expect(instance.toJSON({ only: ['id'], include: ['isCool'] })).to.eql({ id: 1, isCool: true });
+      expect(JSON.parse(JSON.stringify({ user: instance })).user.password).to.be.undefined;
+    });
+  });
+
+  describe('Virtual columns', () => {
+    class Person extends BaseModel {
+      get tableName () {
+        return 'users';
+      }
+
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          name: {
+            type: 'string',
+            notNull: true
+          },
+          password: {
+            type: 'string',
+            hidden: true
+          },
+          shout: {
+            type: 'string',
+            virtual: true,
+            get: (person) => person.name && person.name.toUpperCase(),
+            set (value) {
+              this.name = value.toLowerCase();
+            }
+          }
+        };
+      }
+
+      get serializationProfiles () {
+        return {
+          public: { only: ['id', 'shout'] },
+          admin: { includeHidden: true, except: ['shout'] }
+        };
+      }
+    }
+
+    it('should compute values by getters and write through setters', () => {
+      const person = new Person({ shout: 'HAWK' });
+      expect(person.name).to.eq('hawk');
+      expect(person.shout).to.eq('HAWK');
+      person.shout = 'FALCON';
+      expect(person.name).to.eq('falcon');
+      expect(person.changedAttributes()).to.eql({ name: 'falcon' });
+    });
+
+    it('should skip virtual columns when writing', () => {
+      return Person.create({ name: 'virtual' }).then(person => {
+        expect(person.shout).to.eq('VIRTUAL');
+        return Person.updateWhere({ id: person.id }, { name: 'updated', shout: 'IGNORED' })
+          .then(() => person.reload());
+      }).then(person => {
+        expect(person.name).to.eq('updated');
+        expect(_.keys(person._properties)).to.not.include('shout');
+      });
+    });
+
+    it('should serialize virtual columns and named profiles', () => {
+      const person = new Person({ id: 1, name: 'hawk', password: 'secret' });
+      expect(person.toJSON()).to.eql({ id: 1, name: 'hawk', shout: 'HAWK' });
+      expect(person.serialize('public')).to.eql({ id: 1, shout: 'HAWK' });
+      expect(person.serialize('admin')).to.eql({ id: 1, name: 'hawk', password: 'secret' });
+      expect(() => person.serialize('unknown')).to.throw(/profile unknown is not defined/);
+    });
+
+    it('should require getters for virtual columns', () => {
+      class Broken extends Person {
+        get schema () {
+          return _.assign(super.schema, { broken: { type: 'string', virtual: true } });
+        }
+      }
+      const context = Object.create(Broken.prototype);
+      context.knex = knexConnection;
+      context._primaryKey = ['id'];
+      expect(() => context._ensureMinimumConfiguration()).to.throw(/must define a get function/);
+    });
   });
 
   describe('Ormur.find', () => {
@@ -383,6 +882,185 @@ describe('Ormur', () => {
     });
   });
 
+  describe('Ormur.createMany', () => {
+    it('should create all rows with a single query', () => {
+      const queries = [];
+      const onQuery = (query) => queries.push(query.sql);
+      knexConnection.on('query', onQuery);
+      return User.createMany([{ name: 'Many', password: 'one' }, { name: 'Many', isCool: true }])
+        .then(users => {
+          knexConnection.removeListener('query', onQuery);
+          expect(_.filter(queries, (sql) => /^insert/.test(sql)).length).to.eq(1);
+          expect(users.length).to.eq(2);
+          expect(users[0]).to.be.an.instanceof(User);
+          expect(users[0].password).to.eq('!!!one!!!');
+          expect(users[0].isNew()).to.be.false;
+          expect(users[1].isCool).to.be.true;
+          expect(users[1].createdAt).to.be.an.instanceof(Date);
+          expect(users[1].id).to.eq(users[0].id + 1);
+        });
+    });
+
+    it('should report invalid records by index, writing nothing', () => {
+      return User.createMany([{ name: 'Valid' }, {}, { name: 1 }]).then(() => {
+        throw new Error('Expected createMany to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('ValidationError');
+        expect(_.keys(err.errors)).to.eql(['1', '2']);
+        expect(err.errors[1].name[0].rule).to.eq('notNull');
+        expect(err.message).to.match(/^#1: .+; #2: /);
+      });
+    });
+
+    it('should resolve to an empty array without records', () => {
+      return User.createMany([]).then(users => {
+        expect(users).to.eql([]);
+      });
+    });
+  });
+
+  describe('Ormur.upsert', () => {
+    class Account extends BaseModel {
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          email: {
+            type: 'string',
+            unique: true
+          },
+          name: {
+            type: 'string'
+          },
+          plan: {
+            type: 'string',
+            defaultValue: 'free'
+          }
+        };
+      }
+    }
+
+    const email = () => `${uuid.v4()}@example.com`;
+
+    it('should insert rows without conflicts', () => {
+      const address = email();
+      return Account.upsert({ email: address, name: 'New' }, { conflictTarget: 'email' })
+        .then(account => {
+          expect(account).to.be.an.instanceof(Account);
+          expect(account.id).to.be.a('number');
+          expect(account.plan).to.eq('free');
+          expect(account.isNew()).to.be.false;
+        });
+    });
+
+    it('should update only the given columns on conflict', () => {
+      const address = email();
+      let existing;
+      return Account.create({ email: address, name: 'Old', plan: 'pro' }).then(account => {
+        existing = account;
+        return Account.upsert({ email: address, name: 'Synced', plan: 'free' }, {
+          conflictTarget: ['email'],
+          update: ['name']
+        });
+      }).then(account => {
+        expect(account.id).to.eq(existing.id);
+        expect(account.name).to.eq('Synced');
+        expect(account.plan).to.eq('pro');
+      });
+    });
+
+    it('should upsert many rows with a single query', () => {
+      const addresses = [email(), email()];
+      return Account.create({ email: addresses[0], name: 'Old' }).then(() => {
+        return Account.upsertMany([
+          { email: addresses[0], name: 'Updated' },
+          { email: addresses[1], name: 'Inserted' }
+        ], { conflictTarget: ['email'] });
+      }).then(accounts => {
+        expect(_.map(accounts, 'email')).to.eql(addresses);
+        expect(_.map(accounts, 'name')).to.eql(['Updated', 'Inserted']);
+        return Account.where({ email: addresses[0] }).count();
+      }).then(count => {
+        expect(count).to.eq(1);
+      });
+    });
+
+    it('should require a conflict target', () => {
+      return Account.upsert({ email: email() }).then(() => {
+        throw new Error('Expected upsert to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('ConfigurationError');
+      });
+    });
+
+    describe('Ormur.findOrCreate', () => {
+      it('should find matching rows, creating them if there are none', () => {
+        const address = email();
+        let created;
+        return Account.findOrCreate({ email: address }, { name: 'Found' }).then(account => {
+          created = account;
+          expect(account.name).to.eq('Found');
+          return Account.findOrCreate({ email: address }, { name: 'Other' });
+        }).then(account => {
+          expect(account.id).to.eq(created.id);
+          expect(account.name).to.eq('Found');
+        });
+      });
+
+      it('should find rows created concurrently', () => {
+        const address = email();
+        return Promise.all([
+          Account.findOrCreate({ email: address }),
+          Account.findOrCreate({ email: address })
+        ]).then(accounts => {
+          expect(accounts[0].id).to.eq(accounts[1].id);
+        });
+      });
+    });
+  });
+
+  describe('Ormur.updateWhere', () => {
+    it('should update the matching rows and resolve to their number', () => {
+      return User.createMany([{ name: 'Bulk' }, { name: 'Bulk' }]).then(() => {
+        return User.updateWhere({ name: 'Bulk' }, { name: 'Bulked', isCool: true });
+      }).then(count => {
+        expect(count).to.be.at.least(2);
+        return User.where({ name: 'Bulk' }).count();
+      }).then(count => {
+        expect(count).to.eq(0);
+        return User.where({ name: 'Bulked' }).pluck('isCool');
+      }).then(values => {
+        expect(_.uniq(values)).to.eql([true]);
+      });
+    });
+
+
+    it('should transform the changes as when saving instances', () => {
+      return User.create({ name: 'Transformed', password: 'old' }).then(user => {
+        return User.updateWhere({ id: user.id }, { password: 'plain' }).then(() => {
+          return knexConnection('users').where('id', user.id).first();
+        });
+      }).then(row => {
+        expect(row.password).to.eq('!!!plain!!!');
+      });
+    });
+  });
+
+  describe('Ormur.destroyWhere', () => {
+    it('should remove the matching rows and resolve to their number', () => {
+      return User.createMany([{ name: 'Doomed' }, { name: 'Doomed' }]).then(() => {
+        return User.destroyWhere({ name: 'Doomed' });
+      }).then(count => {
+        expect(count).to.be.at.least(2);
+        return User.where({ name: 'Doomed' }).count();
+      }).then(count => {
+        expect(count).to.eq(0);
+      });
+    });
+  });
+
   describe('Ormur.destroy', () => {
     it('should destroy the row from the database by primary key and resolve to null', () => {
       let id;
@@ -399,18 +1077,807 @@ describe('Ormur', () => {
     });
   });
 
-  it('should perhaps warn about trying to write columns that dont exist');
+  describe('Hooks', () => {
+    // Subclasses of User are stored in the users table too.
+    class UserSubclass extends User {
+      constructor () {
+        super(...arguments);
+        this._tableName = 'users';
+      }
+    }
+    class HookedBase extends UserSubclass { }
+    class Hooked extends HookedBase { }
+    const calls = [];
+    _.each(['beforeValidate', 'afterValidate', 'beforeCreate', 'afterCreate',
+            'beforeUpdate', 'afterUpdate', 'beforeDestroy', 'afterDestroy',
+            'afterFetch'], (name) => {
+      Hooked.addHook(name, () => calls.push(name));
+    });
+    HookedBase.addHook('beforeCreate', () => calls.push('base beforeCreate'));
+
+    beforeEach(() => calls.length = 0);
+
+    it('should run hooks around save, update and destroy', () => {
+      return Hooked.create({ name: 'Hooked' }).then(user => {
+        expect(calls).to.eql(['beforeValidate', 'afterValidate', 'base beforeCreate',
+                              'beforeCreate', 'afterCreate']);
+        calls.length = 0;
+        user.name = 'Hooked again';
+        return user.update();
+      }).then(user => {
+        expect(calls).to.eql(['beforeValidate', 'afterValidate', 'beforeUpdate', 'afterUpdate']);
+        calls.length = 0;
+        return user.destroy();
+      }).then(() => {
+        expect(calls).to.eql(['beforeDestroy', 'afterDestroy']);
+      });
+    });
+
+    it('should run afterFetch hooks for fetched instances', () => {
+      return Hooked.create({ name: 'Fetched' }).then(user => {
+        calls.length = 0;
+        return Hooked.find(user.id);
+      }).then(() => {
+        expect(calls).to.eql(['afterFetch']);
+      });
+    });
+
+    it('should not run hooks of subclasses', () => {
+      return HookedBase.create({ name: 'Base' }).then(() => {
+        expect(calls).to.eql(['base beforeCreate']);
+      });
+    });
+
+    it('should abort the operation if a hook rejects', () => {
+      class Rejecting extends UserSubclass { }
+      Rejecting.addHook('beforeCreate', (user) => {
+        return user.name === 'Rejected' ? Promise.reject(new Error('Rejected')) : null;
+      });
+      return Rejecting.create({ name: 'Rejected' }).catch(err => {
+        expect(err.message).to.eq('Rejected');
+        return User.where({ name: 'Rejected' });
+      }).then(users => {
+        expect(users).to.be.empty;
+      });
+    });
+
+    it('should revert the write if an after hook rejects', () => {
+      class RejectingAfter extends UserSubclass { }
+      RejectingAfter.addHook('afterCreate', () => {
+        throw new Error('Rejected after');
+      });
+      return RejectingAfter.create({ name: 'Rejected after' }).catch(err => {
+        expect(err.message).to.eq('Rejected after');
+        return User.where({ name: 'Rejected after' });
+      }).then(users => {
+        expect(users).to.be.empty;
+      });
+    });
+
+    it('should leave the instance unchanged if an after hook rejects', () => {
+      class RejectingOnce extends UserSubclass { }
+      let rejected = false;
+      RejectingOnce.addHook('afterCreate', () => {
+        if (!rejected) {
+          rejected = true;
+          throw new Error('Rejected once');
+        }
+      });
+      const user = new RejectingOnce({ name: 'Rejected once', password: 'secret' });
+      return user.save().catch(err => {
+        expect(err.message).to.eq('Rejected once');
+        expect(user.isNew()).to.be.true;
+        expect(user.id).to.be.undefined;
+        expect(user.password).to.eq('secret');
+        return user.save();
+      }).then(() => User.find(user.id)).then(found => {
+        expect(found.name).to.eq('Rejected once');
+        expect(found.password).to.eq('!!!secret!!!');
+      });
+    });
+
+    it('should only allow known hooks', () => {
+      expect(() => User.addHook('beforeSomething', _.noop)).to.throw(/Unknown hook/);
+    });
+  });
+
+  describe('Ormur.transaction', () => {
+    it('should commit when the returned promise resolves', () => {
+      let id;
+      return User.transaction(trx => {
+        return User.create({ name: 'Committed' }, { transacting: trx }).then(user => {
+          id = user.id;
+          return User.find(id, { transacting: trx });
+        });
+      }).then(user => {
+        expect(user.id).to.eq(id);
+        return User.find(id);
+      }).then(user => {
+        expect(user.name).to.eq('Committed');
+      });
+    });
+
+    it('should roll back when the returned promise rejects', () => {
+      let id;
+      return User.transaction(trx => {
+        return User.create({ name: 'Rolled back' }, { transacting: trx }).then(user => {
+          id = user.id;
+          user.name = 'Still rolled back';
+          return user.update({ transacting: trx });
+        }).then(() => {
+          throw new Error('Abort');
+        });
+      }).then(() => {
+        throw new Error('Expected the transaction to be rejected.');
+      }, (err) => {
+        expect(err.message).to.eq('Abort');
+        return User.find(id);
+      }).then(user => {
+        expect(user).to.be.null;
+      });
+    });
+
+    it('should use savepoints for nested transactions', () => {
+      const ids = {};
+      return User.transaction(trx => {
+        return User.create({ name: 'Outer' }, { transacting: trx }).then(user => {
+          ids.outer = user.id;
+          return User.transaction(nested => {
+            return User.create({ name: 'Inner' }, { transacting: nested }).then(inner => {
+              ids.inner = inner.id;
+              throw new Error('Abort inner');
+            });
+          }, { transacting: trx }).catch(() => null);
+        });
+      }).then(() => {
+        return User.query().whereIn('id', [ids.outer, ids.inner]);
+      }).then(users => {
+        expect(_.map(users, 'id')).to.eql([ids.outer]);
+      });
+    });
+
+    it('should bind destroy to the transaction', () => {
+      let id;
+      return User.create({ name: 'Survivor' }).then(user => {
+        id = user.id;
+        return User.transaction(trx => {
+          return User.destroy(id, { transacting: trx }).then(() => {
+            throw new Error('Abort');
+          });
+        });
+      }).catch(() => User.find(id)).then(user => {
+        expect(user.id).to.eq(id);
+      });
+    });
+  });
+
+  describe('Soft deletes', () => {
+    class Note extends BaseModel {
+      get softDelete () {
+        return true;
+      }
+
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          body: {
+            type: 'string'
+          },
+          deletedAt: {
+            type: 'timestamp'
+          }
+        };
+      }
+    }
+
+    let note;
+
+    beforeEach(() => {
+      return Note.create({ body: 'Soft' }).then(result => note = result);
+    });
+
+    it('should set deletedAt instead of deleting the row', () => {
+      return note.destroy().then(result => {
+        expect(result).to.be.null;
+        expect(note.deletedAt).to.be.an.instanceof(Date);
+        expect(note.isDirty()).to.be.false;
+        return knexConnection('notes').where('id', note.id).first();
+      }).then(row => {
+        expect(row.deleted_at).to.eql(note.deletedAt);
+      });
+    });
+
+    it('should leave out soft-deleted rows from queries unless asked', () => {
+      return Note.destroy(note.id).then(() => Promise.all([
+        Note.find(note.id),
+        Note.where({ body: 'Soft' }).pluck('id'),
+        Note.query().where('id', note.id).count(),
+        Note.query().withDeleted().where('id', note.id).first(),
+        Note.query().onlyDeleted().pluck('id'),
+        Note.find(note.id, { withDeleted: true })
+      ])).then(results => {
+        expect(results[0]).to.be.null;
+        expect(results[1]).to.not.include(note.id);
+        expect(results[2]).to.eq(0);
+        expect(results[3].id).to.eq(note.id);
+        expect(results[4]).to.include(note.id);
+        expect(results[5].id).to.eq(note.id);
+      });
+    });
+
+    it('should restore soft-deleted rows', () => {
+      return note.destroy().then(() => note.restore()).then(result => {
+        expect(result).to.eq(note);
+        expect(note.deletedAt).to.be.null;
+        return Note.find(note.id);
+      }).then(found => {
+        expect(found.id).to.eq(note.id);
+      });
+    });
+
+    it('should reload soft-deleted rows', () => {
+      return note.destroy().then(() => note.reload()).then(() => {
+        expect(note.deletedAt).to.be.an.instanceof(Date);
+      });
+    });
+
+    it('should delete rows with forceDestroy', () => {
+      return note.forceDestroy().then(() => Note.create({ body: 'Forced' })).then(other => {
+        return Note.forceDestroy(other.id).then(() => {
+          return Note.query().withDeleted().whereIn('id', [note.id, other.id]).count();
+        });
+      }).then(count => {
+        expect(count).to.eq(0);
+      });
+    });
+
+    it('should soft delete rows with destroyWhere', () => {
+      return Note.destroyWhere({ id: note.id }).then(count => {
+        expect(count).to.eq(1);
+        return Note.query().onlyDeleted().where('id', note.id).count();
+      }).then(count => {
+        expect(count).to.eq(1);
+      });
+    });
+
+    it('should check uniqueness against soft-deleted rows and rows outside the scope', () => {
+      class UniqueNote extends Note {
+        constructor () {
+          super(...arguments);
+          this._tableName = 'notes';
+        }
+
+        get schema () {
+          return _.assign({}, super.schema, { body: { type: 'string', unique: true } });
+        }
+      }
+      UniqueNote.addScope('default', (query) => query.where('body', 'Scoped'));
+
+      return note.destroy().then(() => new UniqueNote({ body: 'Soft' }).getErrors()).then(errors => {
+        expect(_.map(errors.body, 'rule')).to.eql(['unique']);
+      });
+    });
+
+    it('should require the column to be defined in the schema', () => {
+      class Unmarked extends User {
+        get softDelete () {
+          return 'removedAt';
+        }
+      }
+      // Not instantiated, as the check would then also run on the next tick.
+      const context = Object.create(Unmarked.prototype);
+      context.knex = knexConnection;
+      context._primaryKey = ['id'];
+      expect(() => context._ensureMinimumConfiguration()).to.throw(/removedAt/);
+    });
+
+    it('should not restore instances of models which do not soft delete', () => {
+      return new User({ id: 1 }).restore().then(() => {
+        throw new Error('Expected restore to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('ConfigurationError');
+      });
+    });
+  });
+
+  describe('Timestamps and optimistic locking', () => {
+    class Article extends BaseModel {
+      get timestamps () {
+        return true;
+      }
+
+      get optimisticLocking () {
+        return true;
+      }
+
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          title: {
+            type: 'string'
+          },
+          createdAt: {
+            type: 'timestamp'
+          },
+          updatedAt: {
+            type: 'timestamp'
+          },
+          version: {
+            type: 'integer'
+          }
+        };
+      }
+    }
+
+    it('should set the timestamps and the version on insert', () => {
+      return Article.create({ title: 'Stamped' }).then(article => {
+        expect(article.createdAt).to.be.an.instanceof(Date);
+        expect(article.updatedAt).to.eql(article.createdAt);
+        expect(article.version).to.eq(1);
+      });
+    });
+
+    it('should bump updatedAt and the version on every update', () => {
+      let article;
+      let createdAt;
+      return Article.create({ title: 'Stamped' }).then(result => {
+        article = result;
+        createdAt = article.createdAt;
+        return new Promise(resolve => setTimeout(resolve, 5));
+      }).then(() => {
+        article.title = 'Updated';
+        return article.save();
+      }).then(() => {
+        expect(article.createdAt).to.eql(createdAt);
+        expect(article.updatedAt).to.be.above(createdAt);
+        expect(article.version).to.eq(2);
+      });
+    });
+
+    it('should bump updatedAt and the version with updateWhere', () => {
+      let article;
+      return Article.create({ title: 'Bulk' }).then(result => {
+        article = result;
+        return Article.updateWhere({ id: article.id }, { title: 'Bulked' });
+      }).then(() => article.reload()).then(() => {
+        expect(article.title).to.eq('Bulked');
+        expect(article.version).to.eq(2);
+        expect(article.updatedAt.getTime()).to.be.at.least(article.createdAt.getTime());
+      });
+    });
+
+    it('should reject updates of stale instances', () => {
+      return Article.create({ title: 'Locked' }).then(article => {
+        return Article.find(article.id).then(copy => {
+          copy.title = 'First';
+          return copy.save();
+        }).then(() => {
+          article.title = 'Second';
+          return article.save();
+        });
+      }).then(() => {
+        throw new Error('Expected the update to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('StaleObjectError');
+      });
+    });
+
+    it('should keep the version of the instance if an after hook rejects', () => {
+      class RejectingArticle extends Article {
+        constructor () {
+          super(...arguments);
+          this._tableName = 'articles';
+        }
+      }
+      let rejected = false;
+      RejectingArticle.addHook('afterUpdate', () => {
+        if (!rejected) {
+          rejected = true;
+          throw new Error('Rejected once');
+        }
+      });
+      let article;
+      return RejectingArticle.create({ title: 'Hooked' }).then(result => {
+        article = result;
+        article.title = 'Rejected';
+        return article.save();
+      }).catch(err => {
+        expect(err.message).to.eq('Rejected once');
+        expect(article.version).to.eq(1);
+        return article.save();
+      }).then(() => {
+        expect(article.version).to.eq(2);
+        return Article.find(article.id);
+      }).then(found => {
+        expect(found.title).to.eq('Rejected');
+        expect(found.version).to.eq(2);
+      });
+    });
+
+    it('should require the columns to be defined in the schema', () => {
+      class Unstamped extends User {
+        get timestamps () {
+          return { updatedAt: 'modifiedAt' };
+        }
+      }
+      // Not instantiated, as the check would then also run on the next tick.
+      const context = Object.create(Unstamped.prototype);
+      context.knex = knexConnection;
+      context._primaryKey = ['id'];
+      expect(() => context._ensureMinimumConfiguration()).to.throw(/modifiedAt/);
+    });
+  });
+
+  describe('Ormur.verifySchema', () => {
+    class Profile extends BaseModel {
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          userId: {
+            type: 'integer'
+          },
+          bio: {
+            type: 'string'
+          }
+        };
+      }
+    }
+
+    class Drifted extends BaseModel {
+      constructor () {
+        super(...arguments);
+        this._tableName = 'users';
+      }
+
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          name: {
+            type: 'string'
+          },
+          password: {
+            type: 'string',
+            notNull: true
+          },
+          isCool: {
+            type: 'string'
+          },
+          nickname: {
+            type: 'string'
+          }
+        };
+      }
+    }
+
+    class Missing extends BaseModel {
+      get schema () {
+        return { id: { type: 'integer', primaryKey: true } };
+      }
+    }
+
+    const problems = [
+      'Column users.name of Drifted is not nullable in the database but may be null in the schema.',
+      'Column users.password of Drifted is nullable in the database but notNull in the schema.',
+      'Column users.is_cool of Drifted is of type boolean in the database but string in the schema.',
+      'Column users.nickname of Drifted does not exist.',
+      'Table missings of Missing does not exist.'
+    ];
+
+    it('should resolve to no problems when the database matches the schema', () => {
+      return Profile.verifySchema().then(result => {
+        expect(result).to.eql([]);
+      });
+    });
+
+    it('should reject with the missing tables and columns and mismatching columns', () => {
+      return Ormur.verifySchema([Profile, Drifted, Missing]).then(() => {
+        throw new Error('Expected the verification to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('ConfigurationError');
+        expect(err.message).to.eq(problems.join(' '));
+      });
+    });
+
+    it('should warn instead when asked to, passing the warnings to the log option', () => {
+      const warnings = [];
+      const log = (message) => warnings.push(message);
+      return Ormur.verifySchema([Drifted, Missing], { warn: true, log }).then(result => {
+        expect(result).to.eql(problems);
+        expect(warnings).to.eql(problems);
+      });
+    });
+
+    it('should verify the schema on initialization when enabled', () => {
+      const warnings = [];
+      class Verified extends Missing {
+        constructor () {
+          super(...arguments);
+          this.schemaVerification = 'warn';
+          this.schemaVerificationLog = (message) => warnings.push(message);
+        }
+      }
+      expect(Verified.schemaVerified().isFulfilled()).to.be.true;
+      new Verified();
+      return Promise.resolve().then(() => Verified.schemaVerified()).then(result => {
+        expect(result).to.eql(['Table verifieds of Verified does not exist.']);
+        expect(warnings).to.eql(result);
+      });
+    });
+
+    it('should warn when the schema cannot be verified on initialization', () => {
+      const warnings = [];
+      class Unreachable extends Missing {
+        constructor () {
+          super(...arguments);
+          this.schemaVerification = 'warn';
+          this.schemaVerificationLog = (message) => warnings.push(message);
+        }
+
+        static verifySchema () {
+          return Promise.reject(new Error('Connection refused'));
+        }
+      }
+      new Unreachable();
+      return Promise.resolve().then(() => Unreachable.schemaVerified()).then(() => {
+        throw new Error('Expected the verification to be rejected.');
+      }, (err) => {
+        expect(err.message).to.eq('Connection refused');
+        expect(warnings).to.eql(['Schema of Unreachable could not be verified: Connection refused']);
+      });
+    });
+
+    it('should leave failures to read the database to schemaVerified when not warning', () => {
+      class Unreachable extends Missing {
+        constructor () {
+          super(...arguments);
+          this.schemaVerification = 'error';
+        }
+
+        static verifySchema () {
+          return Promise.reject(new Error('Connection refused'));
+        }
+      }
+      new Unreachable();
+      return Promise.resolve()
+        .then(() => Unreachable.schemaVerified())
+        .then(() => {
+          throw new Error('Expected the verification to be rejected.');
+        }, (err) => {
+          expect(err.message).to.eq('Connection refused');
+          // Wait a tick, so that an uncaught exception would fail the test.
+          return new Promise(resolve => setImmediate(resolve));
+        });
+    });
+  });
+
+  describe('Naming', () => {
+    class Invoice extends BaseModel {
+      get tableName () {
+        return 'billing.invoices';
+      }
+
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true,
+            columnName: 'InvoiceID'
+          },
+          customer: {
+            type: 'string',
+            columnName: 'CustName'
+          },
+          totalCents: {
+            type: 'integer'
+          },
+          isPaid: {
+            type: 'boolean'
+          }
+        };
+      }
+    }
+    Invoice.setNamingStrategy('camelCase');
+
+    class Shouting extends BaseModel {
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          createdAt: {
+            type: 'date'
+          }
+        };
+      }
+    }
+    Shouting.setNamingStrategy((column) => _.snakeCase(column).toUpperCase());
+
+    it('should read, write and filter by mapped columns of schema-qualified tables', () => {
+      let invoice;
+      return Invoice.create({ customer: 'ACME', totalCents: 1200 }).then(result => {
+        invoice = result;
+        expect(invoice.id).to.be.a('number');
+        expect(invoice.customer).to.eq('ACME');
+        invoice.isPaid = true;
+        return invoice.save();
+      }).then(() => {
+        return knexConnection('billing.invoices').where('InvoiceID', invoice.id).first();
+      }).then(row => {
+        expect(row).to.eql({ InvoiceID: invoice.id, CustName: 'ACME', totalCents: 1200, isPaid: true });
+        return Invoice.where({ customer: 'ACME', isPaid: true }).first();
+      }).then(found => {
+        expect(found.id).to.eq(invoice.id);
+        expect(found.toJSON()).to.eql({
+          id: invoice.id,
+          customer: 'ACME',
+          totalCents: 1200,
+          isPaid: true
+        });
+        return Invoice.max('totalCents', { customer: 'ACME' });
+      }).then(max => {
+        expect(max).to.eq(1200);
+        return invoice.destroy();
+      }).then(() => Invoice.find(invoice.id)).then(found => {
+        expect(found).to.be.null;
+      });
+    });
+
+    it('should translate column names with a custom strategy', () => {
+      const query = Shouting.query().where({ createdAt: new Date() }).orderBy('id');
+      expect(query.toKnex().toSQL().sql).to.eq(
+        'select * from "shoutings" where "CREATED_AT" = ? order by "ID" asc');
+
+      const shouting = new Shouting({ ID: 1, CREATED_AT: '2016-04-01' });
+      expect(shouting.id).to.eq(1);
+      expect(shouting.createdAt).to.be.an.instanceof(Date);
+      expect(_.keys(shouting._serialize(shouting._properties))).to.eql(['ID', 'CREATED_AT']);
+    });
+
+    it('should inherit the naming strategy', () => {
+      class Subclassed extends Invoice {}
+      expect(Subclassed.getNamingStrategy()).to.eq('camelCase');
+      expect(User.getNamingStrategy()).to.eq('snakeCase');
+    });
+
+    it('should not allow unknown naming strategies', () => {
+      expect(() => Shouting.setNamingStrategy('kebabCase')).to.throw(/naming strategy/);
+    });
+
+    it('should verify the schema of mapped columns', () => {
+      return Invoice.verifySchema().then(problems => {
+        expect(problems).to.eql([]);
+      });
+    });
+  });
+
+  describe('Composite primary keys', () => {
+    class Membership extends BaseModel {
+      get schema () {
+        return {
+          tenantId: {
+            type: 'integer',
+            primaryKey: true
+          },
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          role: {
+            type: 'string'
+          }
+        };
+      }
+    }
+
+    // Rows of two tenants sharing the same ids.
+    const tenants = [1000 + Math.floor(Math.random() * 1000000), 0];
+    tenants[1] = tenants[0] + 1;
+
+    before(() => Membership.createMany([
+      { tenantId: tenants[0], id: 1, role: 'owner' },
+      { tenantId: tenants[0], id: 2, role: 'member' },
+      { tenantId: tenants[1], id: 1, role: 'owner' }
+    ]));
+
+    it('should keep all primary key columns', () => {
+      expect(new Membership()._primaryKey).to.eql(['tenantId', 'id']);
+    });
+
+    it('should find rows by all primary key columns', () => {
+      return Membership.find({ tenantId: tenants[1], id: 1 }).then(membership => {
+        expect(membership.tenantId).to.eq(tenants[1]);
+        expect(membership.role).to.eq('owner');
+        return Membership.find(1);
+      }).then(() => {
+        throw new Error('Expected the find to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('ValidationError');
+        expect(_.keys(err.errors)).to.eql(['tenantId', 'id']);
+        expect(err.errors.tenantId[0].rule).to.eq('primaryKey');
+        return Membership.find({ tenantId: tenants[1] });
+      }).then(() => {
+        throw new Error('Expected the find to be rejected.');
+      }, (err) => {
+        expect(_.keys(err.errors)).to.eql(['id']);
+      });
+    });
+
+    it('should update, reload and destroy only the row of the instance', () => {
+      let membership;
+      return Membership.find({ tenantId: tenants[0], id: 1 }).then(result => {
+        membership = result;
+        membership.role = 'admin';
+        return membership.save();
+      }).then(() => {
+        return Membership.query().where({ id: 1 }).whereIn('tenantId', tenants);
+      }).then(results => {
+        expect(_.map(_.sortBy(results, 'tenantId'), 'role')).to.eql(['admin', 'owner']);
+        return membership.reload();
+      }).then(() => {
+        expect(membership.role).to.eq('admin');
+        return membership.destroy();
+      }).then(() => Membership.destroy({ tenantId: tenants[1], id: 1 }))
+        .then(() => Membership.query().whereIn('tenantId', tenants))
+        .then(results => {
+          expect(_.map(results, 'id')).to.eql([2]);
+        });
+    });
+
+    it('should page through rows by all primary key columns', () => {
+      const batches = [];
+      return Membership.createMany([
+        { tenantId: tenants[1], id: 1 },
+        { tenantId: tenants[1], id: 2 }
+      ]).then(() => {
+        const query = Membership.query().whereIn('tenantId', tenants);
+        return query.findInBatches({ batchSize: 1 }, batch => {
+          batches.push(_.map(batch, (membership) => [membership.tenantId, membership.id]));
+        });
+      }).then(count => {
+        expect(count).to.eq(3);
+        expect(batches).to.eql([[[tenants[0], 2]], [[tenants[1], 1]], [[tenants[1], 2]]]);
+        const query = Membership.query().whereIn('tenantId', tenants);
+        return query.paginate({ limit: 2 }).then(page => query.paginate({ after: page.cursor }));
+      }).then(page => {
+        expect(_.map(page.results, 'id')).to.eql([2]);
+        expect(page.hasMore).to.be.false;
+      });
+    });
+
+    it('should require relations to name the keys of composite primary keys', () => {
+      class Note extends BaseModel {
+        get schema () {
+          return { id: { type: 'integer', primaryKey: true } };
+        }
+
+        get relations () {
+          return { membership: { type: 'belongsTo', model: Membership } };
+        }
+      }
+      expect(() => new Note()._relations.membership.targetKey).to.throw(/must define a targetKey/);
+    });
+  });
+
   it('should ensure that a primary key is defined in columns');
   it('should not validate unset attributes if they don\'t have notNull');
   it('callTransforms should use reduce and everything using it should await it');
-  it('should only insert if data has not been inserted, otherwise update on save');
-  it('should expose a query interface');
   it('should automatically convert attributes camelCase on read');
   it('should automatically convert attributes to snake_case on write');
   it('should test knex interop');
   it('should allow validating a specific field');
-  it('should have associations');
-  it('should check if table exists on initialization');
   it('should validate the type of the param attribute(s) in static methods via type validations');
   it('should allow falsy values (except undefined) in validations');
   it('should define helpers for common columns such as timestamps');
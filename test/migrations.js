@@ -0,0 +1,289 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const Promise = require('bluebird');
+const expect = require('chai').expect;
+
+const migrations = require('../lib/migrations');
+const Model = require('./fixtures/models/model');
+const Essay = require('./fixtures/models/essay');
+const Writer = require('./fixtures/models/writer');
+
+const knexConnection = new Writer({ _empty: true }).knex;
+
+
+describe('Migrations', () => {
+  const modelsDirectory = path.join(__dirname, 'fixtures', 'models');
+
+  function dropTables () {
+    return knexConnection.schema.dropTableIfExists('essays').dropTableIfExists('writers');
+  }
+
+  function migrate (source, direction) {
+    return migrations.writeMigration(os.tmpdir(), 'ormur_test', source).then(file => {
+      // Files written within the same second share a name.
+      delete require.cache[file];
+      const migration = require(file);
+      fs.unlinkSync(file);
+      return migration[direction](knexConnection, Promise);
+    });
+  }
+
+  before(dropTables);
+  after(dropTables);
+
+  describe('loadModels', () => {
+    it('should load the models of a directory, skipping models without a schema', () => {
+      expect(migrations.loadModels(modelsDirectory)).to.eql([Essay, Writer]);
+    });
+  });
+
+  describe('createMigration', () => {
+    it('should create the tables, ordered by the foreign keys of relations', () => {
+      const source = migrations.createMigration([Essay, Writer]);
+      expect(source).to.contain([
+        "    .createTable('writers', (table) => {",
+        "      table.increments('id');",
+        "      table.string('name').notNullable();",
+        "      table.string('bio', 500);",
+        "      table.boolean('active').defaultTo(true);",
+        '    })',
+        "    .createTable('essays', (table) => {",
+        "      table.increments('id');",
+        "      table.string('title').notNullable();",
+        "      table.enu('status', ['draft', 'published']).defaultTo('draft');",
+        "      table.specificType('keywords', 'varchar(255)[]');",
+        "      table.jsonb('metadata');",
+        "      table.integer('writer_id').references('id').inTable('writers');",
+        '    });'
+      ].join('\n'));
+      expect(source).to.contain("    .dropTable('essays')\n    .dropTable('writers');");
+    });
+
+    it('should create join tables of manyToMany relations', () => {
+      class Topic extends Model {
+        get schema () {
+          return { id: { type: 'integer', primaryKey: true } };
+        }
+      }
+      class TaggedEssay extends Essay {
+        get relations () {
+          return { topics: { type: 'manyToMany', model: Topic, through: 'essays_topics' } };
+        }
+      }
+      const source = migrations.createMigration([TaggedEssay, Topic]);
+      expect(source).to.contain([
+        "    .createTable('essays_topics', (table) => {",
+        "      table.integer('tagged_essay_id').references('id').inTable('tagged_essays');",
+        "      table.integer('topic_id').references('id').inTable('topics');"
+      ].join('\n'));
+    });
+
+    it('should use mapped table and column names', () => {
+      class Customer extends Model {
+        get tableName () {
+          return 'billing.customers';
+        }
+
+        get schema () {
+          return {
+            id: { type: 'integer', primaryKey: true, columnName: 'CustID' },
+            fullName: { type: 'string' }
+          };
+        }
+      }
+      class Receipt extends Model {
+        get schema () {
+          return { id: { type: 'integer', primaryKey: true }, customerId: { type: 'integer' } };
+        }
+
+        get relations () {
+          return { customer: { type: 'belongsTo', model: Customer } };
+        }
+      }
+      const source = migrations.createMigration([Receipt, Customer]);
+      expect(source).to.contain([
+        "    .createTable('billing.customers', (table) => {",
+        "      table.increments('CustID');",
+        "      table.string('full_name');",
+        '    })',
+        "    .createTable('receipts', (table) => {",
+        "      table.increments('id');",
+        "      table.integer('customer_id').references('CustID').inTable('billing.customers');"
+      ].join('\n'));
+    });
+
+    it('should leave out virtual columns', () => {
+      class Badge extends Model {
+        get schema () {
+          return {
+            id: { type: 'integer', primaryKey: true },
+            label: { type: 'string' },
+            title: { type: 'string', virtual: true, get: (badge) => badge.label }
+          };
+        }
+      }
+      expect(_.map(migrations.describeColumns(Badge), 'name')).to.eql(['id', 'label']);
+    });
+
+    it('should create composite primary keys for the table', () => {
+      class Seat extends Model {
+        get schema () {
+          return {
+            tenantId: { type: 'integer', primaryKey: true },
+            id: { type: 'integer', primaryKey: true },
+            label: { type: 'string' }
+          };
+        }
+      }
+      expect(migrations.createMigration([Seat])).to.contain([
+        "    .createTable('seats', (table) => {",
+        "      table.integer('tenant_id').notNullable();",
+        "      table.integer('id').notNullable();",
+        "      table.string('label');",
+        "      table.primary(['tenant_id', 'id']);",
+        '    });'
+      ].join('\n'));
+    });
+
+    it('should produce migrations which create and drop the tables', () => {
+      const source = migrations.createMigration([Essay, Writer]);
+      return migrate(source, 'up').then(() => {
+        return knexConnection('essays').columnInfo();
+      }).then(info => {
+        expect(_.keys(info).sort()).to.eql(['id', 'keywords', 'metadata', 'status', 'title',
+                                            'writer_id']);
+        expect(info.title.nullable).to.be.false;
+        return Essay.create({ title: 'Migrated', keywords: ['a'], metadata: { b: 1 } });
+      }).then(essay => {
+        expect(essay.status).to.eq('draft');
+        return migrations.diffMigration([Essay, Writer]);
+      }).then(diff => {
+        expect(diff).to.be.null;
+        return migrate(source, 'down');
+      }).then(() => knexConnection.schema.hasTable('essays')).then(exists => {
+        expect(exists).to.be.false;
+      });
+    });
+  });
+
+  describe('diffMigration', () => {
+    class RevisedWriter extends Writer {
+      constructor () {
+        super(...arguments);
+        this._tableName = 'writers';
+      }
+
+      get schema () {
+        return {
+          id: {
+            type: 'integer',
+            primaryKey: true
+          },
+          name: {
+            type: 'string'
+          },
+          email: {
+            type: 'string',
+            notNull: true
+          }
+        };
+      }
+    }
+
+    before(() => migrate(migrations.createMigration([Writer]), 'up'));
+
+    it('should add and alter columns, listing columns not in the schema', () => {
+      return migrations.diffMigration([RevisedWriter]).then(source => {
+        expect(source).to.contain([
+          "    .table('writers', (table) => {",
+          "      table.string('email').notNullable();",
+          "      // Column 'bio' is not in the schema; drop it with the drop option (--drop).",
+          "      // Column 'active' is not in the schema; drop it with the drop option (--drop).",
+          '    })'
+        ].join('\n'));
+        expect(source).to.not.contain('dropColumn(\'bio\')');
+        expect(source).to.contain("    .table('writers', (table) => {\n" +
+                                  "      table.dropColumn('email');\n    })");
+      });
+    });
+
+    it('should drop columns not in the schema with the drop option', () => {
+      let source;
+      return migrations.diffMigration([RevisedWriter], null, { drop: true }).then(result => {
+        source = result;
+        expect(source).to.contain([
+          "    .table('writers', (table) => {",
+          "      table.string('email').notNullable();",
+          "      table.dropColumn('bio');",
+          "      table.dropColumn('active');",
+          '    })',
+          '    .raw(\'alter table "writers" alter column "name" drop not null\');'
+        ].join('\n'));
+        expect(source).to.contain("      table.specificType('bio', 'character varying(500)');");
+        return migrate(source, 'up');
+      }).then(() => migrations.diffMigration([RevisedWriter])).then(diff => {
+        expect(diff).to.be.null;
+        return migrate(source, 'down');
+      }).then(() => knexConnection('writers').columnInfo()).then(info => {
+        expect(_.keys(info).sort()).to.eql(['active', 'bio', 'id', 'name']);
+        expect(info.name.nullable).to.be.false;
+        expect(info.bio.maxLength).to.eq(500);
+      });
+    });
+
+    it('should change the types of columns to match the schema', () => {
+      class RetypedWriter extends Writer {
+        constructor () {
+          super(...arguments);
+          this._tableName = 'writers';
+        }
+
+        get schema () {
+          return _.assign({}, super.schema, { bio: { type: 'integer' } });
+        }
+      }
+      let source;
+      return migrations.diffMigration([RetypedWriter]).then(result => {
+        source = result;
+        expect(source).to.contain(
+          '    .raw(\'alter table "writers" alter column "bio" type integer using "bio"::integer\');');
+        expect(source).to.contain('    .raw(\'alter table "writers" alter column "bio" ' +
+                                  'type character varying(500) using "bio"::character varying(500)\');');
+        return migrate(source, 'up');
+      }).then(() => migrations.diffMigration([RetypedWriter])).then(diff => {
+        expect(diff).to.be.null;
+        return migrate(source, 'down');
+      }).then(() => knexConnection('writers').columnInfo()).then(info => {
+        expect(info.bio.type).to.eq('character varying');
+        expect(info.bio.maxLength).to.eq(500);
+      });
+    });
+
+    it('should list type changes which cannot be written as SQL', () => {
+      class Labelled extends Model {
+        get schema () {
+          return { id: { type: 'integer', primaryKey: true }, labels: { type: 'string' } };
+        }
+      }
+      const createTable = knexConnection.schema.createTable('labelleds', (table) => {
+        table.increments('id');
+        table.specificType('labels', 'text[]');
+      });
+      return createTable.then(() => migrations.diffMigration([Labelled])).then(source => {
+        expect(source).to.contain("      // Column 'labels' is of type ARRAY in the database " +
+                                  'but string in the schema; alter it by hand.');
+      }).finally(() => knexConnection.schema.dropTableIfExists('labelleds'));
+    });
+
+    it('should create missing tables', () => {
+      return migrations.diffMigration([Essay, Writer]).then(source => {
+        expect(source).to.contain("    .createTable('essays', (table) => {");
+        expect(source).to.not.contain("table('writers'");
+      });
+    });
+  });
+});
@@ -0,0 +1,489 @@
+'use strict';
+
+const _ = require('lodash');
+const knex = require('knex');
+const expect = require('chai').expect;
+
+const Ormur = require('../lib');
+const Query = require('../lib/query');
+
+const knexConnection = knex({
+  client: 'postgresql',
+  connection: 'postgres://postgres:@localhost:5432/ormur-test'
+});
+
+
+class User extends Ormur {
+  constructor () {
+    super(...arguments);
+    this.knex = knexConnection;
+  }
+
+  get schema () {
+    return {
+      id: {
+        type: 'integer',
+        primaryKey: true
+      },
+      name: {
+        type: 'string',
+        notNull: true
+      },
+      isCool: {
+        type: 'boolean'
+      },
+      createdAt: {
+        type: 'date',
+        defaultValue: () => new Date()
+      }
+    };
+  }
+}
+
+/**
+ * Create the five users named "Paginated", unless they exist.
+ */
+function createPaginated () {
+  const name = 'Paginated';
+  return User.query().where({ name }).count().then(count => {
+    if (count === 0) {
+      return User.createMany(_.times(5, (index) => ({ name, isCool: index % 2 === 0 })));
+    }
+    return null;
+  });
+}
+
+function sqlOf (query) {
+  return query.toKnex().toSQL().sql;
+}
+
+
+describe('Query', () => {
+  describe('Ormur.query', () => {
+    it('should return a query for the model', () => {
+      const query = User.query();
+      expect(query).to.be.an.instanceof(Query);
+      expect(query.Model).to.eq(User);
+    });
+  });
+
+  describe('Query#where', () => {
+    it('should snake_case column names in attributes', () => {
+      const query = User.query().where({ isCool: true });
+      expect(sqlOf(query)).to.eq('select * from "users" where "is_cool" = ?');
+    });
+
+    it('should accept a column, an operator and a value', () => {
+      const query = User.query().where('createdAt', '>', '2016-01-01');
+      expect(sqlOf(query)).to.eq('select * from "users" where "created_at" > ?');
+    });
+
+    it('should keep table qualifiers', () => {
+      const query = User.query().where('users.isCool', true);
+      expect(sqlOf(query)).to.eq('select * from "users" where "users"."is_cool" = ?');
+    });
+
+    it('should build grouped clauses from functions', () => {
+      const query = User.query()
+        .where('name', 'Hawk')
+        .where(group => group.where('isCool', true).orWhereNull('isCool'));
+      expect(sqlOf(query)).to.eq('select * from "users" where "name" = ? and ' +
+                                 '("is_cool" = ? or "is_cool" is null)');
+    });
+  });
+
+  describe('Query#whereIn', () => {
+    it('should filter by a list of values', () => {
+      const query = User.query().whereIn('id', [1, 2]).whereNotIn('name', ['Hawk']);
+      expect(sqlOf(query)).to.eq('select * from "users" where "id" in (?, ?) and "name" not in (?)');
+    });
+  });
+
+  describe('Query#orderBy', () => {
+    it('should order, limit and offset the results', () => {
+      const query = User.query().orderBy('createdAt', 'desc').limit(20).offset(40);
+      expect(sqlOf(query)).to.eq('select * from "users" order by "created_at" desc limit ? offset ?');
+    });
+  });
+
+  describe('Query#withDeleted', () => {
+    class Note extends User {
+      get softDelete () {
+        return 'removedAt';
+      }
+
+      get schema () {
+        return _.assign({ removedAt: { type: 'timestamp' } }, super.schema);
+      }
+    }
+
+    it('should leave out soft-deleted rows unless asked otherwise', () => {
+      expect(sqlOf(Note.query().where('id', 1)))
+        .to.eq('select * from "notes" where "id" = ? and "removed_at" is null');
+      expect(sqlOf(Note.query().withDeleted())).to.eq('select * from "notes"');
+      expect(sqlOf(Note.query().onlyDeleted().clone()))
+        .to.eq('select * from "notes" where "removed_at" is not null');
+    });
+
+    it('should leave out soft-deleted rows matching any of the where clauses', () => {
+      expect(sqlOf(Note.where({ body: 'a' }).orWhere({ body: 'b' }))).to.eq(
+        'select * from "notes" where ("body" = ? or "body" = ?) and "removed_at" is null');
+    });
+  });
+
+  describe('Scopes', () => {
+    class CoolUser extends User {
+      constructor () {
+        super(...arguments);
+        this._tableName = 'users';
+      }
+    }
+    CoolUser
+      .addScope('default', (query) => query.where('isCool', true))
+      .addScope('named', (query, name) => query.where({ name }))
+      .addScope('recent', (query) => query.orderBy('createdAt', 'desc'));
+
+    class Hawk extends CoolUser {}
+    Hawk.addScope('default', (query) => query.where({ name: 'Hawk' }));
+
+    it('should add chainable methods to queries and models', () => {
+      expect(sqlOf(CoolUser.named('Hawk').recent().limit(10))).to.eq(
+        'select * from "users" where "name" = ? and "is_cool" = ? order by "created_at" desc limit ?');
+      expect(sqlOf(CoolUser.query().recent().named('Hawk'))).to.eq(
+        'select * from "users" where "name" = ? and "is_cool" = ? order by "created_at" desc');
+    });
+
+    it('should apply the default scope unless unscoped', () => {
+      expect(sqlOf(CoolUser.where({ name: 'Hawk' }).unscoped())).to.eq(
+        'select * from "users" where "name" = ?');
+      expect(sqlOf(CoolUser.unscoped().clone())).to.eq('select * from "users"');
+    });
+
+    it('should apply the default scope to all of the where clauses', () => {
+      expect(sqlOf(CoolUser.where({ name: 'a' }).orWhere({ name: 'b' }))).to.eq(
+        'select * from "users" where ("name" = ? or "name" = ?) and "is_cool" = ?');
+
+      class Named extends User {}
+      Named.addScope('default', (query) => query.where('name', 'a').orWhere('name', 'b'));
+      expect(sqlOf(Named.where({ isCool: true }))).to.eq(
+        'select * from "nameds" where "is_cool" = ? and ("name" = ? or "name" = ?)');
+    });
+
+    it('should inherit scopes, letting subclasses override them', () => {
+      expect(sqlOf(Hawk.recent())).to.eq(
+        'select * from "users" where "name" = ? order by "created_at" desc');
+    });
+
+    it('should not allow scopes named like existing methods', () => {
+      expect(() => CoolUser.addScope('where', _.noop)).to.throw(/conflicts/);
+      expect(() => CoolUser.addScope('find', _.noop)).to.throw(/conflicts/);
+    });
+
+    it('should apply the default scope to find, counts and destroy', () => {
+      let uncool;
+      return User.create({ name: 'Uncool', isCool: false }).then(user => {
+        uncool = user;
+        return Promise.all([
+          CoolUser.find(uncool.id),
+          CoolUser.find(uncool.id, { unscoped: true }),
+          CoolUser.where({ name: 'Uncool' }).count(),
+          CoolUser.destroy(uncool.id).then(() => User.find(uncool.id))
+        ]);
+      }).then(results => {
+        expect(results[0]).to.be.null;
+        expect(results[1].id).to.eq(uncool.id);
+        expect(results[2]).to.eq(0);
+        expect(results[3].id).to.eq(uncool.id);
+      });
+    });
+
+    it('should reload and destroy instances outside the default scope', () => {
+      let uncool;
+      return CoolUser.create({ name: 'Uncool', isCool: false }).then(user => {
+        uncool = user;
+        return uncool.reload();
+      }).then(() => {
+        expect(uncool.name).to.eq('Uncool');
+        return uncool.destroy();
+      }).then(() => User.find(uncool.id)).then(found => {
+        expect(found).to.be.null;
+      });
+    });
+  });
+
+  describe('Query#clone', () => {
+    it('should not share conditions added after cloning', () => {
+      const query = User.query().where({ name: 'Hawk' });
+      const clone = query.clone().where({ isCool: true });
+      expect(query.toString()).to.not.eq(clone.toString());
+    });
+  });
+
+  describe('Query#then', () => {
+    it('should resolve to model instances', () => {
+      return User.create({ name: 'Queried' }).then(() => {
+        return User.query().where({ name: 'Queried' });
+      }).then(users => {
+        expect(users).to.not.be.empty;
+        _.each(users, (user) => {
+          expect(user).to.be.an.instanceof(User);
+          expect(user.name).to.eq('Queried');
+        });
+      });
+    });
+  });
+
+  describe('Query#paginate', () => {
+    const name = 'Paginated';
+
+    before(createPaginated);
+
+    it('should resolve to numbered pages', () => {
+      return User.paginate({ where: { name }, page: 2, perPage: 2 }).then(page => {
+        expect(page.total).to.eq(5);
+        expect(page.page).to.eq(2);
+        expect(page.pageCount).to.eq(3);
+        expect(page.results.length).to.eq(2);
+        expect(page.results[0]).to.be.an.instanceof(User);
+      });
+    });
+
+    it('should follow cursors through all rows', () => {
+      const query = User.query().where({ name });
+      const seen = [];
+      const next = (after) => {
+        return query.paginate({ after, limit: 2, orderBy: [{ column: 'isCool', direction: 'desc' }] })
+          .then(page => {
+            seen.push(_.map(page.results, 'id'));
+            return page.hasMore ? next(page.cursor) : _.flatten(seen);
+          });
+      };
+      return Promise.all([next(), query.clone().orderBy('isCool', 'desc').orderBy('id').pluck('id')])
+        .then(results => {
+          expect(results[0]).to.eql(results[1]);
+          expect(seen.length).to.eq(3);
+        });
+    });
+
+    it('should apply cursors to all of the where clauses', () => {
+      const query = User.query().where({ name }).orWhere('id', 0);
+      const seen = [];
+      const next = (after) => {
+        return query.paginate({ after, limit: 2 }).then(page => {
+          seen.push(_.map(page.results, 'id'));
+          return page.hasMore && seen.length < 5 ? next(page.cursor) : _.flatten(seen);
+        });
+      };
+      return Promise.all([next(), User.where({ name }).orderBy('id').pluck('id')]).then(results => {
+        expect(results[0]).to.eql(results[1]);
+      });
+    });
+
+    it('should follow cursors through timestamps with microseconds', () => {
+      class Article extends Ormur {
+        constructor () {
+          super(...arguments);
+          this.knex = knexConnection;
+        }
+
+        get schema () {
+          return {
+            id: { type: 'integer', primaryKey: true },
+            title: { type: 'string' },
+            createdAt: { type: 'timestamp' }
+          };
+        }
+      }
+      const title = 'Microseconds';
+      const query = Article.where({ title });
+      const seen = [];
+      const next = (after) => {
+        return query.paginate({ after, limit: 1, orderBy: ['createdAt'] }).then(page => {
+          seen.push(_.map(page.results, 'id'));
+          return page.hasMore && seen.length < 5 ? next(page.cursor) : _.flatten(seen);
+        });
+      };
+      return knexConnection('articles').where({ title }).del().then(() => {
+        // All within the same millisecond, which is all a Date keeps.
+        return knexConnection('articles').insert(_.map([3, 1, 2], (microseconds) => {
+          return { title, created_at: `2016-04-01 12:00:00.12300${microseconds}` };
+        })).returning('id');
+      }).then(ids => {
+        return next().then(result => {
+          expect(result).to.eql([ids[1], ids[2], ids[0]]);
+        });
+      });
+    });
+
+    it('should reject invalid cursors', () => {
+      return User.paginate({ after: 'invalid', limit: 2 }).then(() => {
+        throw new Error('Expected paginate to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('ValidationError');
+        expect(err.errors.after[0].rule).to.eq('cursor');
+      });
+    });
+  });
+
+  describe('Query#stream', () => {
+    before(createPaginated);
+
+    it('should stream the matching rows as model instances', () => {
+      const query = User.query().where({ name: 'Paginated' }).orderBy('id');
+      return new Promise((resolve, reject) => {
+        const users = [];
+        query.stream()
+          .on('data', (user) => users.push(user))
+          .on('error', reject)
+          .on('end', () => resolve(users));
+      }).then(users => {
+        expect(users.length).to.eq(5);
+        expect(users[0]).to.be.an.instanceof(User);
+        return query.pluck('id').then(ids => expect(_.map(users, 'id')).to.eql(ids));
+      });
+    });
+
+    it('should emit an error when loading relations', (done) => {
+      User.query().withRelated('posts').stream().on('error', (err) => {
+        expect(err.name).to.eq('ConfigurationError');
+        done();
+      });
+    });
+  });
+
+  describe('Query#findInBatches', () => {
+    before(createPaginated);
+
+    it('should pass the rows in batches ordered by primary key, one batch at a time', () => {
+      const batches = [];
+      let running = 0;
+      return User.findInBatches({ where: { name: 'Paginated' }, batchSize: 2 }, (batch) => {
+        expect(running).to.eq(0);
+        running++;
+        batches.push(_.map(batch, 'id'));
+        return new Promise(resolve => setTimeout(resolve, 5)).then(() => running--);
+      }).then(processed => {
+        expect(processed).to.eq(5);
+        expect(_.map(batches, 'length')).to.eql([2, 2, 1]);
+        return User.query().where({ name: 'Paginated' }).orderBy('id').pluck('id');
+      }).then(ids => {
+        expect(_.flatten(batches)).to.eql(ids);
+      });
+    });
+
+    it('should apply the primary key condition to all of the where clauses', () => {
+      const batches = [];
+      const query = User.query().where({ name: 'Paginated' }).orWhere('id', 0);
+      return query.findInBatches({ batchSize: 2 }, (batch) => {
+        batches.push(_.map(batch, 'id'));
+        if (batches.length > 3) {
+          throw new Error('Expected three batches.');
+        }
+      }).then(processed => {
+        expect(processed).to.eq(5);
+        return User.query().where({ name: 'Paginated' }).orderBy('id').pluck('id');
+      }).then(ids => {
+        expect(_.flatten(batches)).to.eql(ids);
+      });
+    });
+  });
+
+  describe('Query#first', () => {
+    it('should resolve to a single instance or null', () => {
+      return User.create({ name: 'First' }).then(() => {
+        return User.query().where({ name: 'First' }).first();
+      }).then(user => {
+        expect(user).to.be.an.instanceof(User);
+        return User.query().where({ name: 'Nobody exists with this name' }).first();
+      }).then(user => {
+        expect(user).to.be.null;
+      });
+    });
+  });
+
+  describe('Query#count', () => {
+    it('should count the matching rows, ignoring order and limit', () => {
+      return Promise.all([User.create({ name: 'Counted' }), User.create({ name: 'Counted' })])
+        .then(() => User.query().where({ name: 'Counted' }).orderBy('id').limit(1).count())
+        .then(count => {
+          expect(count).to.be.at.least(2);
+        });
+    });
+  });
+
+  describe('Aggregations', () => {
+    let ids;
+
+    before(() => createPaginated().then(() => {
+      return User.query().where({ name: 'Paginated' }).orderBy('id').pluck('id');
+    }).then(values => {
+      ids = values;
+    }));
+
+    it('should count, sum and average through model statics', () => {
+      return Promise.all([
+        User.count({ name: 'Paginated' }),
+        User.sum('id', { name: 'Paginated' }),
+        User.avg('id', { name: 'Paginated' })
+      ]).then(results => {
+        expect(results[0]).to.eq(5);
+        expect(results[1]).to.eq(_.sum(ids));
+        expect(results[2]).to.eq(_.mean(ids));
+      });
+    });
+
+    it('should deserialize minimums and maximums by the schema', () => {
+      return Promise.all([
+        User.min('id', { name: 'Paginated' }),
+        User.max('id', { name: 'Paginated' }),
+        User.max('createdAt', { name: 'Paginated' })
+      ]).then(results => {
+        expect(results[0]).to.eq(_.first(ids));
+        expect(results[1]).to.eq(_.last(ids));
+        expect(results[2]).to.be.an.instanceof(Date);
+      });
+    });
+
+    it('should resolve to null when no rows match', () => {
+      return User.sum('id', { name: 'Nobody has this name' }).then(sum => {
+        expect(sum).to.be.null;
+      });
+    });
+
+    it('should group by camelCased columns', () => {
+      const query = User.query().where({ name: 'Paginated' }).groupBy('isCool').orderBy('isCool');
+      return Promise.all([query.clone().count(), query.clone().max('id'), query])
+        .then(results => {
+          expect(results[0]).to.eql([{ isCool: false, count: 2 }, { isCool: true, count: 3 }]);
+          expect(results[1]).to.eql([
+            { isCool: false, max: ids[3] },
+            { isCool: true, max: ids[4] }
+          ]);
+          expect(results[2]).to.eql([{ isCool: false }, { isCool: true }]);
+        });
+    });
+  });
+
+  describe('Query#exists', () => {
+    it('should resolve to whether any row matches', () => {
+      return User.create({ name: 'Existing' }).then(() => {
+        return User.query().where({ name: 'Existing' }).exists();
+      }).then(exists => {
+        expect(exists).to.be.true;
+        return User.query().where({ name: 'Nobody exists with this name' }).exists();
+      }).then(exists => {
+        expect(exists).to.be.false;
+      });
+    });
+  });
+
+  describe('Query#pluck', () => {
+    it('should resolve to the values of a column', () => {
+      return User.create({ name: 'Plucked', isCool: true }).then(() => {
+        return User.query().where({ name: 'Plucked' }).pluck('isCool');
+      }).then(values => {
+        expect(_.uniq(values)).to.eql([true]);
+      });
+    });
+  });
+});
@@ -0,0 +1,287 @@
+'use strict';
+
+const _ = require('lodash');
+const knex = require('knex');
+const expect = require('chai').expect;
+
+const Ormur = require('../lib');
+const relations = require('../lib/relations');
+
+const knexConnection = knex({
+  client: 'postgresql',
+  connection: 'postgres://postgres:@localhost:5432/ormur-test'
+});
+
+
+class BaseModel extends Ormur {
+  constructor () {
+    super(...arguments);
+    this.knex = knexConnection;
+  }
+}
+
+class User extends BaseModel {
+  get schema () {
+    return {
+      id: {
+        type: 'integer',
+        primaryKey: true
+      },
+      name: {
+        type: 'string',
+        notNull: true
+      },
+      password: {
+        type: 'string',
+        hidden: true
+      }
+    };
+  }
+
+  get relations () {
+    return {
+      // Referenced through functions, as the models are defined further down.
+      posts: {
+        type: 'hasMany',
+        model: () => Post,
+        foreignKey: 'authorId'
+      },
+      profile: {
+        type: 'hasOne',
+        model: () => Profile
+      }
+    };
+  }
+}
+
+class Profile extends BaseModel {
+  get schema () {
+    return {
+      id: {
+        type: 'integer',
+        primaryKey: true
+      },
+      userId: {
+        type: 'integer'
+      },
+      bio: {
+        type: 'string'
+      }
+    };
+  }
+}
+
+class Tag extends BaseModel {
+  get schema () {
+    return {
+      id: {
+        type: 'integer',
+        primaryKey: true
+      },
+      name: {
+        type: 'string'
+      }
+    };
+  }
+}
+
+class Post extends BaseModel {
+  get schema () {
+    return {
+      id: {
+        type: 'integer',
+        primaryKey: true
+      },
+      title: {
+        type: 'string'
+      },
+      authorId: {
+        type: 'integer'
+      }
+    };
+  }
+
+  get relations () {
+    return {
+      author: {
+        type: 'belongsTo',
+        model: User
+      },
+      tags: {
+        type: 'manyToMany',
+        model: Tag
+      }
+    };
+  }
+}
+
+
+describe('Relations', () => {
+  describe('foreignKeyFor', () => {
+    it('should inflect a camelCased foreign key from a name', () => {
+      expect(relations.foreignKeyFor('User')).to.eq('userId');
+      expect(relations.foreignKeyFor('BlogPost')).to.eq('blogPostId');
+      expect(relations.foreignKeyFor('author')).to.eq('authorId');
+    });
+  });
+
+  describe('Relation', () => {
+    it('should infer keys and join tables', () => {
+      const post = new Post({ _empty: true });
+      expect(post._relations.author.foreignKey).to.eq('authorId');
+      expect(post._relations.author.targetKey).to.eq('id');
+      expect(post._relations.tags.through).to.eq('posts_tags');
+      expect(post._relations.tags.foreignKey).to.eq('postId');
+      expect(post._relations.tags.otherKey).to.eq('tagId');
+
+      const user = new User({ _empty: true });
+      expect(user._relations.profile.foreignKey).to.eq('userId');
+      expect(user._relations.profile.sourceKey).to.eq('id');
+    });
+
+    it('should require a known type and a model', () => {
+      class Invalid extends BaseModel {
+        get relations () {
+          return { things: { type: 'hasSome', model: Tag } };
+        }
+      }
+      expect(() => new Invalid()).to.throw(/must be of one of the types/);
+    });
+  });
+
+  describe('belongsTo', () => {
+    it('should resolve to the related instance', () => {
+      let author;
+      return User.create({ name: 'Author' }).then(user => {
+        author = user;
+        return Post.create({ title: 'Title', authorId: author.id });
+      }).then(post => post.author()).then(user => {
+        expect(user).to.be.an.instanceof(User);
+        expect(user.id).to.eq(author.id);
+      });
+    });
+
+    it('should resolve to null without a foreign key', () => {
+      return new Post({ title: 'Orphan' }).author().then(user => {
+        expect(user).to.be.null;
+      });
+    });
+  });
+
+  describe('hasOne', () => {
+    it('should resolve to the related instance', () => {
+      let user;
+      return User.create({ name: 'Profiled' }).then(result => {
+        user = result;
+        return Profile.create({ userId: user.id, bio: 'Bio' });
+      }).then(() => user.profile()).then(profile => {
+        expect(profile).to.be.an.instanceof(Profile);
+        expect(profile.bio).to.eq('Bio');
+      });
+    });
+  });
+
+  describe('hasMany', () => {
+    it('should resolve to the related instances via a query', () => {
+      let user;
+      return User.create({ name: 'Prolific' }).then(result => {
+        user = result;
+        return Promise.all([
+          Post.create({ title: 'One', authorId: user.id }),
+          Post.create({ title: 'Two', authorId: user.id })
+        ]);
+      }).then(() => user.posts().orderBy('title')).then(posts => {
+        expect(_.map(posts, 'title')).to.eql(['One', 'Two']);
+        expect(posts[0]).to.be.an.instanceof(Post);
+      });
+    });
+  });
+
+  describe('manyToMany', () => {
+    it('should resolve to the related instances through the join table', () => {
+      let post;
+      return Promise.all([
+        Post.create({ title: 'Tagged' }),
+        Tag.create({ name: 'node' }),
+        Tag.create({ name: 'orm' })
+      ]).then(results => {
+        post = results[0];
+        return knexConnection('posts_tags').insert(_.map(_.tail(results), (tag) => {
+          return { post_id: post.id, tag_id: tag.id };
+        }));
+      }).then(() => post.tags().orderBy('name')).then(tags => {
+        expect(_.map(tags, 'name')).to.eql(['node', 'orm']);
+        expect(tags[0]).to.be.an.instanceof(Tag);
+      });
+    });
+  });
+
+  describe('Eager loading', () => {
+    let users;
+
+    before(() => {
+      users = [];
+      return User.create({ name: 'Eager', password: 'secret' }).then(user => {
+        users.push(user);
+        return User.create({ name: 'Eager', password: 'secret' });
+      }).then(user => {
+        users.push(user);
+        return Promise.all(_.map(users, (user) => Post.create({ title: 'Eager', authorId: user.id })));
+      }).then(posts => {
+        return Tag.create({ name: 'eager' }).then(tag => {
+          return knexConnection('posts_tags').insert({ post_id: posts[0].id, tag_id: tag.id });
+        });
+      });
+    });
+
+    it('should load relations with a single query per relation', () => {
+      const queries = [];
+      const onQuery = (query) => queries.push(query.sql);
+      knexConnection.on('query', onQuery);
+      return User.query().whereIn('id', _.map(users, 'id')).withRelated('posts').then(results => {
+        knexConnection.removeListener('query', onQuery);
+        expect(queries.length).to.eq(2);
+        _.each(results, (user) => {
+          expect(user.getRelated('posts').length).to.eq(1);
+          expect(user.getRelated('posts')[0].authorId).to.eq(user.id);
+        });
+      });
+    });
+
+    it('should load nested relations', () => {
+      return User.query()
+        .whereIn('id', _.map(users, 'id'))
+        .orderBy('id')
+        .withRelated('posts.tags', 'posts.author')
+        .then(results => {
+          const post = results[0].getRelated('posts')[0];
+          expect(_.map(post.getRelated('tags'), 'name')).to.eql(['eager']);
+          expect(post.getRelated('author').id).to.eq(results[0].id);
+          expect(results[1].getRelated('posts')[0].getRelated('tags')).to.eql([]);
+        });
+    });
+
+    it('should load relations through Ormur.find', () => {
+      return User.find(users[0].id, { withRelated: ['profile'] }).then(user => {
+        expect(user.getRelated('profile')).to.be.null;
+      });
+    });
+
+    it('should include loaded relations in toJSON, omitting hidden columns', () => {
+      return Post.query().where({ authorId: users[0].id }).withRelated('author').first()
+        .then(post => {
+          const json = post.toJSON();
+          expect(json.author.name).to.eq('Eager');
+          expect(json.author.password).to.be.undefined;
+        });
+    });
+
+    it('should reject for unknown relations', () => {
+      return User.query().withRelated('unknown').then(() => {
+        throw new Error('Expected the query to be rejected.');
+      }, (err) => {
+        expect(err.name).to.eq('ConfigurationError');
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+const types = require('../lib/types');
+
+
+describe('types', () => {
+  function isValid (value, rules) {
+    return types.validate(value, rules);
+  }
+
+  describe('validate', () => {
+    it('should validate numeric types', () => {
+      expect(isValid(1.5, { type: 'float' })).to.be.true;
+      expect(isValid('1.5', { type: 'float' })).to.be.false;
+      expect(isValid('1.50', { type: 'decimal' })).to.be.true;
+      expect(isValid('abc', { type: 'decimal' })).to.be.false;
+      expect(isValid(10, { type: 'bigint' })).to.be.true;
+      expect(isValid('9007199254740993', { type: 'bigint' })).to.be.true;
+      expect(isValid(1.5, { type: 'bigint' })).to.be.false;
+    });
+
+    it('should validate json, enum and timestamp types', () => {
+      expect(isValid({ a: 1 }, { type: 'json' })).to.be.true;
+      expect(isValid(() => null, { type: 'json' })).to.be.false;
+      expect(isValid('draft', { type: 'enum', values: ['draft'] })).to.be.true;
+      expect(isValid('other', { type: 'enum', values: ['draft'] })).to.be.false;
+      expect(isValid(new Date(), { type: 'timestamp' })).to.be.true;
+      expect(isValid(new Date('invalid'), { type: 'timestamp' })).to.be.false;
+    });
+
+    it('should validate the elements of arrays', () => {
+      expect(isValid([1, 2], { type: 'array', of: 'integer' })).to.be.true;
+      expect(isValid([1, 'a'], { type: 'array', of: 'integer' })).to.be.false;
+      expect(isValid(['a'], { type: 'array', of: { type: 'enum', values: ['a'] } })).to.be.true;
+      expect(isValid('a', { type: 'array' })).to.be.false;
+    });
+
+    it('should consider values of unknown types valid', () => {
+      expect(isValid('anything', {})).to.be.true;
+    });
+  });
+
+  describe('deserialize', () => {
+    it('should convert values from their database representation', () => {
+      expect(types.deserialize('1.5', { type: 'float' })).to.eq(1.5);
+      expect(types.deserialize(1.5, { type: 'decimal' })).to.eq('1.5');
+      expect(types.deserialize('42', { type: 'bigint' })).to.eq(42);
+      expect(types.deserialize('9007199254740993', { type: 'bigint' })).to.eq('9007199254740993');
+      expect(types.deserialize('{"a":1}', { type: 'json' })).to.eql({ a: 1 });
+      expect(types.deserialize(['1', '2'], { type: 'array', of: 'integer' })).to.eql([1, 2]);
+      expect(types.deserialize(0, { type: 'timestamp' })).to.eql(new Date(0));
+    });
+
+    it('should keep values it does not recognize', () => {
+      expect(types.deserialize('abc', { type: 'float' })).to.eq('abc');
+      expect(types.deserialize(null, { type: 'float' })).to.be.null;
+    });
+  });
+
+  describe('serialize', () => {
+    it('should convert values to their database representation', () => {
+      expect(types.serialize([1, 2], { type: 'json' })).to.eq('[1,2]');
+      expect(types.serialize(undefined, { type: 'json' })).to.be.undefined;
+      expect(types.serialize('a', { type: 'string' })).to.eq('a');
+    });
+  });
+});
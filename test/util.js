@@ -34,6 +34,25 @@ describe('util', () => {
     });
   });
 
+  describe('namingStrategy', () => {
+    it('should translate names each way by the built-in strategies', () => {
+      expect(util.namingStrategy('snakeCase').column('createdAt')).to.eq('created_at');
+      expect(util.namingStrategy('snakeCase').property('created_at')).to.eq('createdAt');
+      expect(util.namingStrategy('camelCase').column('createdAt')).to.eq('createdAt');
+    });
+
+    it('should make strategies from functions', () => {
+      const strategy = util.namingStrategy((name) => name.toUpperCase());
+      expect(strategy.column('id')).to.eq('ID');
+      expect(strategy.property('ID')).to.eq('ID');
+    });
+
+    it('should return null for unknown strategies', () => {
+      expect(util.namingStrategy('kebabCase')).to.be.null;
+      expect(util.namingStrategy('constructor')).to.be.null;
+    });
+  });
+
   describe('isUuid', () => {
     it('should only allow string params', () => {
       const invalidParams = [undefined, null, 0, ''];
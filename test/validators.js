@@ -0,0 +1,58 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+const validators = require('../lib/validators');
+
+
+describe('validators', () => {
+  const rules = validators.rules;
+
+  describe('minLength and maxLength', () => {
+    it('should check the length of strings and arrays', () => {
+      expect(rules.minLength('abc', 3, 'name')).to.be.null;
+      expect(rules.minLength('ab', 3, 'name')).to.eq('name must be at least 3 long');
+      expect(rules.maxLength([1, 2], 2, 'tags')).to.be.null;
+      expect(rules.maxLength([1, 2, 3], 2, 'tags')).to.eq('tags must be at most 2 long');
+    });
+  });
+
+  describe('min and max', () => {
+    it('should check the bounds of numbers', () => {
+      expect(rules.min(0, 0, 'age')).to.be.null;
+      expect(rules.min(-1, 0, 'age')).to.eq('age must be at least 0');
+      expect(rules.max(10, 10, 'age')).to.be.null;
+      expect(rules.max(11, 10, 'age')).to.eq('age must be at most 10');
+    });
+  });
+
+  describe('pattern', () => {
+    it('should check strings against regular expressions or strings thereof', () => {
+      expect(rules.pattern('abc', /^a/, 'code')).to.be.null;
+      expect(rules.pattern('abc', '^b', 'code')).to.eq('code must match ^b');
+    });
+  });
+
+  describe('enum', () => {
+    it('should check that the value is one of the allowed values', () => {
+      expect(rules.enum('red', ['red', 'blue'], 'color')).to.be.null;
+      expect(rules.enum('green', ['red', 'blue'], 'color'))
+        .to.eq('color must be one of red, blue');
+    });
+  });
+
+  describe('email', () => {
+    it('should check that strings look like e-mail addresses', () => {
+      expect(rules.email('test@example.com', true, 'email')).to.be.null;
+      expect(rules.email('test', true, 'email')).to.eq('email must be an email address');
+      expect(rules.email('test', false, 'email')).to.be.null;
+    });
+  });
+
+  describe('url', () => {
+    it('should check that strings are absolute URLs', () => {
+      expect(rules.url('https://example.com/path?query', true, 'website')).to.be.null;
+      expect(rules.url('example.com', true, 'website')).to.eq('website must be a URL');
+    });
+  });
+});